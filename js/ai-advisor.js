@@ -21,8 +21,10 @@ class AIAdvisor {
 
         const totalMonthly = calculator.getTotalMonthly(subscriptions);
         const totalYearly = calculator.getTotalYearly(subscriptions);
+        const totalLifetime = calculator.getTotalLifetimeSpend(subscriptions);
 
-        let summary = `【合計】月額 ${calculator.formatJPY(totalMonthly)} / 年額 ${calculator.formatJPY(totalYearly)}\n\n`;
+        let summary = `【合計】月額 ${calculator.formatBase(totalMonthly)} / 年額 ${calculator.formatBase(totalYearly)}\n`;
+        summary += `【これまでの累計支払額】${calculator.formatBase(totalLifetime)}\n\n`;
         summary += '【サービス一覧】\n';
 
         // カテゴリ別にグループ化
@@ -38,13 +40,31 @@ class AIAdvisor {
         // カテゴリ別に出力
         Object.keys(byCategory).forEach(category => {
             const subs = byCategory[category];
-            const categoryTotal = subs.reduce((sum, s) => sum + s.amount_jpy_monthly, 0);
-            summary += `\n■ ${category}（月額計: ${calculator.formatJPY(categoryTotal)}）\n`;
+            const categoryTotal = calculator.getTotalMonthly(subs);
+            summary += `\n■ ${category}（月額計: ${calculator.formatBase(categoryTotal)}）\n`;
 
             subs.forEach(sub => {
-                summary += `  - ${sub.service_name}: ${calculator.formatJPY(sub.amount_jpy_monthly)}/月`;
-                if (sub.billing_cycle === '年払い') {
-                    summary += `（年払い ${calculator.formatJPY(sub.amount_jpy_yearly)}）`;
+                summary += `  - ${sub.service_name}: ${calculator.formatBase(calculator.getCurrentMonthly(sub))}/月`;
+                if (sub.cancel_date) {
+                    summary += `（${sub.cancel_date}で解約予定）`;
+                }
+                if (calculator.isInTrial(sub)) {
+                    summary += `（無料トライアル中・${sub.trial_end_date}から課金、合計には含まない）`;
+                }
+                if (sub.billing_cycle !== '月払い') {
+                    summary += `（${calculator.getCycleLabel(sub)}・年額 ${calculator.formatBase(calculator.getCurrentYearly(sub))}）`;
+                }
+                const scheduled = calculator.getScheduledPrice(sub, new Date());
+                if (scheduled && scheduled.end_date) {
+                    summary += `（${scheduled.end_date}まで特別価格、以降 ${calculator.formatBase(sub.amount_monthly)}/月）`;
+                }
+                const lifetime = calculator.getLifetimeSpend(sub);
+                if (lifetime !== null) {
+                    summary += ` 累計 ${calculator.formatBase(lifetime)}（${sub.start_date}〜）`;
+                }
+                const increase = calculator.getRecentPriceIncrease(sub);
+                if (increase) {
+                    summary += ` ※${increase.date}に値上げ（${calculator.formatOriginalAmount(increase.from, increase.fromCurrency)} → ${calculator.formatOriginalAmount(increase.to, increase.currency)}、+${increase.percent}%）`;
                 }
                 summary += '\n';
             });
@@ -53,18 +73,47 @@ class AIAdvisor {
         return summary;
     }
 
+    /**
+     * 解約済みのサブスクから節約の実績テキストを生成
+     * @param {Array} subscriptions - 解約済みを含む全サブスクリプション配列
+     * @returns {string} 節約実績テキスト
+     */
+    generateSavingsSummary(subscriptions) {
+        const cancelled = subscriptions.filter(sub => calculator.isSavingsTarget(sub));
+        if (cancelled.length === 0) {
+            return 'まだ解約したサブスクはありません。';
+        }
+
+        const monthlySavings = calculator.getMonthlySavings(subscriptions);
+        let summary = `【節約できた金額】累計 ${calculator.formatBase(calculator.getRealizedSavings(subscriptions))}`;
+        summary += `（月 ${calculator.formatBase(monthlySavings)} / 年 ${calculator.formatBase(monthlySavings * 12)} のペース）\n`;
+        summary += '【解約したサービス】\n';
+        cancelled.forEach(sub => {
+            summary += `  - ${sub.service_name}: ${calculator.formatBase(calculator.getMonthlyBeforeCancel(sub))}/月、${sub.cancel_date}に解約`;
+            if (sub.cancel_reason) {
+                summary += `（理由: ${sub.cancel_reason}）`;
+            }
+            summary += '\n';
+        });
+        return summary;
+    }
+
     /**
      * AIアドバイス用のプロンプトを構築
      * @param {string} subscriptionsSummary - サブスクサマリー
      * @param {string} userInput - ユーザーからの相談内容
+     * @param {string} savingsSummary - これまでの解約による節約実績
      * @returns {string} 完全なプロンプト
      */
-    buildPrompt(subscriptionsSummary, userInput) {
+    buildPrompt(subscriptionsSummary, userInput, savingsSummary = '') {
         return `あなたは家計の見直しをサポートする『サブスク専門のファイナンシャルアドバイザー』です。
 
-# 利用者のサブスク一覧データ（円換算済み）
+# 利用者のサブスク一覧データ（${calculator.baseCurrency}換算済み）
 ${subscriptionsSummary}
 
+# これまでの見直しの成果
+${savingsSummary}
+
 # ユーザーからの相談内容
 ${userInput}
 
@@ -74,21 +123,26 @@ ${userInput}
 - 『やめる』『減らす』『そのまま』の3分類で考える
 - 年額・月額の両方の観点からアドバイスする
 - 特に「AI」カテゴリのサブスクは、似た機能の重複に注意する
+- 直近で値上げされたサービスは、値上げ後も価格に見合うか確認を促す
+- 無料トライアル中のサービスは、課金開始前に続けるか解約するかの判断を促す
+- 特別価格の期間が終わるサービスは、通常価格に戻った後の負担も考慮する
+- これまでに解約して節約できた実績があれば、まずその成果を認めて励ます
 - できるだけ優しい口調で、日本語で回答する
 
 # 出力フォーマット
 1. 全体のコメント
 2. 解約・見直し候補リスト
-3. 節約インパクトのまとめ（◯円／月・◯円／年）
+3. 節約インパクトのまとめ（◯${currencyRegistry.get(calculator.baseCurrency).name}／月・◯${currencyRegistry.get(calculator.baseCurrency).name}／年）
 4. 最後に一言背中を押すメッセージ`;
     }
 
     /**
      * ローカルのシンプルなアドバイス機能（API不要）
-     * @returns {string} アドバイステキスト
+     * @returns {Promise<string>} アドバイステキスト
      */
-    getLocalAdvice() {
-        const subscriptions = storage.getSubscriptions(true);
+    async getLocalAdvice() {
+        const subscriptions = await storage.getSubscriptions(true);
+        const settings = await storage.getSettings();
 
         if (subscriptions.length === 0) {
             return '📝 まだサブスクが登録されていません。「＋追加する」ボタンからサブスクを登録してください。';
@@ -97,69 +151,117 @@ ${userInput}
         const totalMonthly = calculator.getTotalMonthly(subscriptions);
         const totalYearly = calculator.getTotalYearly(subscriptions);
         const breakdown = calculator.getCategoryBreakdown(subscriptions);
+        const trials = calculator.getTrials(subscriptions);
+
+        // 以降の見直しポイントは課金中のサブスクが対象（トライアルは別枠で案内）
+        const paying = calculator.getPayingSubscriptions(subscriptions);
 
         let advice = '📊 **あなたのサブスク分析レポート**\n\n';
 
         // 総額
-        advice += `💰 **月額合計**: ${calculator.formatJPY(totalMonthly)}\n`;
-        advice += `📅 **年額合計**: ${calculator.formatJPY(totalYearly)}\n\n`;
+        advice += `💰 **月額合計**: ${calculator.formatBase(totalMonthly)}\n`;
+        advice += `📅 **年額合計**: ${calculator.formatBase(totalYearly)}\n`;
+        advice += `🧾 **これまでの累計支払額**: ${calculator.formatBase(calculator.getTotalLifetimeSpend(subscriptions))}\n\n`;
 
         // カテゴリ別分析
         advice += '📂 **カテゴリ別内訳**:\n';
         const sortedCategories = Object.entries(breakdown).sort((a, b) => b[1] - a[1]);
         sortedCategories.forEach(([category, amount]) => {
             const percent = Math.round((amount / totalMonthly) * 100);
-            advice += `  • ${category}: ${calculator.formatJPY(amount)}/月（${percent}%）\n`;
+            advice += `  • ${category}: ${calculator.formatBase(amount)}/月（${percent}%）\n`;
         });
         advice += '\n';
 
         // 見直しポイント
         advice += '💡 **見直しポイント**:\n\n';
 
+        // 無料トライアルの終了チェック
+        if (trials.length > 0) {
+            advice += `⏳ **無料トライアル中（${trials.length}件）**\n`;
+            trials.forEach(({ subscription, daysLeft }) => {
+                advice += `   • ${subscription.service_name}: あと${daysLeft}日（${subscription.trial_end_date}から ${calculator.formatOriginalAmount(subscription.amount_original, subscription.currency)}）\n`;
+            });
+            advice += `   → 使い続けないなら終了日までに解約しましょう\n\n`;
+        }
+
         // AI系の重複チェック
-        const aiSubs = subscriptions.filter(s => s.category === 'AI');
+        const aiSubs = paying.filter(s => s.category === 'AI');
         if (aiSubs.length >= 2) {
-            const aiTotal = aiSubs.reduce((sum, s) => sum + s.amount_jpy_monthly, 0);
+            const aiTotal = calculator.getTotalMonthly(aiSubs);
             advice += `⚠️ **AIサブスクが${aiSubs.length}件重複しています**\n`;
-            advice += `   合計: ${calculator.formatJPY(aiTotal)}/月\n`;
+            advice += `   合計: ${calculator.formatBase(aiTotal)}/月\n`;
             advice += `   サービス: ${aiSubs.map(s => s.service_name).join('、')}\n`;
             advice += `   → 機能が重複していないか確認しましょう\n\n`;
         }
 
-        // 高額サブスクチェック（月額3000円以上）
-        const expensive = subscriptions.filter(s => s.amount_jpy_monthly >= 3000);
+        // 高額サブスクチェック（月額3000円相当以上）
+        const expensiveThreshold = calculator.convert(3000, 'JPY', settings.base_currency, settings.exchange_rates);
+        const expensive = paying.filter(s => calculator.getCurrentMonthly(s) >= expensiveThreshold);
         if (expensive.length > 0) {
-            advice += `💸 **高額サブスク（月額3,000円以上）**\n`;
+            advice += `💸 **高額サブスク（月額${calculator.formatBase(expensiveThreshold)}以上）**\n`;
             expensive.forEach(s => {
-                advice += `   • ${s.service_name}: ${calculator.formatJPY(s.amount_jpy_monthly)}/月\n`;
+                advice += `   • ${s.service_name}: ${calculator.formatBase(calculator.getCurrentMonthly(s))}/月\n`;
             });
             advice += `   → 本当に必要か見直してみましょう\n\n`;
         }
 
+        // 直近1年の値上げチェック
+        const increased = paying
+            .map(s => ({ sub: s, increase: calculator.getRecentPriceIncrease(s) }))
+            .filter(item => item.increase);
+        if (increased.length > 0) {
+            advice += `📈 **直近1年で値上げされたサービス（${increased.length}件）**\n`;
+            increased.forEach(({ sub, increase }) => {
+                advice += `   • ${sub.service_name}: ${calculator.formatOriginalAmount(increase.from, increase.fromCurrency)} → ${calculator.formatOriginalAmount(increase.to, increase.currency)}（+${increase.percent}%）\n`;
+            });
+            advice += `   → 値上げ後の価格でも使い続ける価値があるか見直しましょう\n\n`;
+        }
+
+        // プロモ終了・段階料金による今後の値上がりチェック
+        const stepUps = calculator.getUpcomingStepUps(paying);
+        if (stepUps.length > 0) {
+            advice += `🔔 **今後12ヶ月で値上がりする予定（${stepUps.length}件）**\n`;
+            stepUps.forEach(({ date, subscription, before, after }) => {
+                advice += `   • ${subscription.service_name}: ${calculator.toDateString(date)}から ${calculator.formatBase(before)} → ${calculator.formatBase(after)}/月\n`;
+            });
+            advice += `   → 特別価格の終了前に、通常価格でも続けるか決めておきましょう\n\n`;
+        }
+
         // 年払いの月換算チェック
-        const yearlyPlans = subscriptions.filter(s => s.billing_cycle === '年払い');
+        const yearlyPlans = paying.filter(s => s.billing_cycle === '年払い');
         if (yearlyPlans.length > 0) {
             advice += `📆 **年払いプラン（${yearlyPlans.length}件）**\n`;
             yearlyPlans.forEach(s => {
-                advice += `   • ${s.service_name}: ${calculator.formatJPY(s.amount_jpy_yearly)}/年 → 月換算 ${calculator.formatJPY(s.amount_jpy_monthly)}\n`;
+                advice += `   • ${s.service_name}: ${calculator.formatBase(calculator.getCurrentYearly(s))}/年 → 月換算 ${calculator.formatBase(calculator.getCurrentMonthly(s))}\n`;
             });
             advice += `   → 更新前に本当に使っているか確認しましょう\n\n`;
         }
 
         // エンタメ系のチェック
-        const entertainment = subscriptions.filter(s => s.category === 'エンタメ');
+        const entertainment = paying.filter(s => s.category === 'エンタメ');
         if (entertainment.length >= 3) {
-            const entTotal = entertainment.reduce((sum, s) => sum + s.amount_jpy_monthly, 0);
+            const entTotal = calculator.getTotalMonthly(entertainment);
             advice += `🎬 **エンタメ系が${entertainment.length}件**\n`;
-            advice += `   合計: ${calculator.formatJPY(entTotal)}/月\n`;
+            advice += `   合計: ${calculator.formatBase(entTotal)}/月\n`;
             advice += `   → 同時に全部見ていますか？使っていないものは解約を検討\n\n`;
         }
 
+        // これまでの節約実績
+        const allSubscriptions = await storage.getSubscriptions(false);
+        const cancelled = allSubscriptions.filter(s => calculator.isSavingsTarget(s));
+        if (cancelled.length > 0) {
+            const monthlySavings = calculator.getMonthlySavings(allSubscriptions);
+            advice += `🎉 **これまでの見直しの成果**\n`;
+            advice += `   ${cancelled.length}件の解約で累計 ${calculator.formatBase(calculator.getRealizedSavings(allSubscriptions))} を節約できています\n`;
+            advice += `   （月 ${calculator.formatBase(monthlySavings)} / 年 ${calculator.formatBase(monthlySavings * 12)} のペース）\n`;
+            advice += `   → この調子で続けましょう！\n\n`;
+        }
+
         // 節約ポテンシャル（仮に20%削減を提案）
-        const savingPotential = Math.round(totalMonthly * 0.2);
+        const savingPotential = calculator.roundAmount(totalMonthly * 0.2, calculator.baseCurrency);
         advice += `✨ **節約の可能性**\n`;
         advice += `   見直しで約20%削減できれば...\n`;
-        advice += `   月 ${calculator.formatJPY(savingPotential)} / 年 ${calculator.formatJPY(savingPotential * 12)} の節約に！\n\n`;
+        advice += `   月 ${calculator.formatBase(savingPotential)} / 年 ${calculator.formatBase(savingPotential * 12)} の節約に！\n\n`;
 
         advice += '---\n';
         advice += '💪 小さな見直しの積み重ねが、大きな節約につながります。まずは1つ、使っていないサブスクを解約してみましょう！';
@@ -179,14 +281,16 @@ ${userInput}
             return this.getLocalAdvice();
         }
 
-        // サブスク一覧を取得
-        const subscriptions = storage.getSubscriptions(true);
+        // サブスク一覧を取得（節約実績は解約済みを含めて計算）
+        const subscriptions = await storage.getSubscriptions(true);
+        const allSubscriptions = await storage.getSubscriptions(false);
 
         // サマリーを生成
         const summary = this.generateSubscriptionsSummary(subscriptions);
+        const savingsSummary = this.generateSavingsSummary(allSubscriptions);
 
         // プロンプトを構築
-        const prompt = this.buildPrompt(summary, userInput);
+        const prompt = this.buildPrompt(summary, userInput, savingsSummary);
 
         // Gemini API リクエスト
         const url = `${this.apiEndpoint}?key=${apiKey}`;
@@ -216,7 +320,7 @@ ${userInput}
 
                 // APIエラーの場合はローカルアドバイスにフォールバック
                 console.warn('Gemini API error:', errorMessage);
-                return this.getLocalAdvice() + '\n\n---\n⚠️ AI機能は現在利用できません。上記はローカル分析結果です。';
+                return (await this.getLocalAdvice()) + '\n\n---\n⚠️ AI機能は現在利用できません。上記はローカル分析結果です。';
             }
 
             const data = await response.json();
@@ -231,17 +335,16 @@ ${userInput}
 
         } catch (error) {
             console.warn('Gemini API fetch error:', error);
-            return this.getLocalAdvice() + '\n\n---\n⚠️ AI機能は現在利用できません。上記はローカル分析結果です。';
+            return (await this.getLocalAdvice()) + '\n\n---\n⚠️ AI機能は現在利用できません。上記はローカル分析結果です。';
         }
     }
 
     /**
-     * APIキーが設定されているかチェック
+     * APIキーが設定されているかチェック（暗号化されていてロック中の場合も設定済みとみなす）
      * @returns {boolean} 設定済みかどうか
      */
     hasApiKey() {
-        const key = storage.getApiKey();
-        return key && key.length > 0;
+        return storage.hasApiKey();
     }
 }
 
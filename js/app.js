@@ -6,6 +6,11 @@
 
 class SubscManApp {
     constructor() {
+        // 他の端末・タブでの変更が続けて届いた場合にまとめて再描画するまでの待ち時間
+        this.LIVE_REFRESH_DELAY_MS = 300;
+        this.unsubscribeChanges = null;
+        this.liveRefreshTimerId = null;
+
         this.bindEvents();
         this.initializeAuth();
     }
@@ -17,10 +22,38 @@ class SubscManApp {
         // 認証状態の変化を監視
         firebaseAuth.onAuthStateChanged(async (user) => {
             this.updateAuthUI(user);
+            syncQueue.refreshState();
+            if (user) {
+                syncQueue.replay();
+            }
+            this.watchChanges();
             await this.refreshData();
         });
     }
 
+    /**
+     * 現在のログイン状態に合わせて、他の端末・タブでの変更の監視を張り直す
+     */
+    watchChanges() {
+        if (this.unsubscribeChanges) {
+            this.unsubscribeChanges();
+        }
+        this.unsubscribeChanges = storage.subscribe((change) => this.handleExternalChange(change));
+    }
+
+    /**
+     * 他の端末・タブでの変更を画面に反映
+     * @param {Object} change - { source, collection }
+     */
+    handleExternalChange(change) {
+        if (change.collection === 'pending') {
+            syncQueue.refreshState();
+        }
+
+        clearTimeout(this.liveRefreshTimerId);
+        this.liveRefreshTimerId = setTimeout(() => this.refreshData(), this.LIVE_REFRESH_DELAY_MS);
+    }
+
     /**
      * 認証UIを更新
      * @param {Object|null} user - ユーザー情報
@@ -71,24 +104,12 @@ class SubscManApp {
     }
 
     /**
-     * ローカルデータがあれば同期を提案
+     * ローカルデータがあればクラウドのデータと照合し、同期方法を選ぶダイアログを表示
      */
     async checkAndOfferSync() {
-        const localSubs = storage.getSubscriptionsLocal(false);
-        if (localSubs.length > 0) {
-            const shouldSync = confirm(
-                `ローカルに${localSubs.length}件のサブスクデータがあります。\nクラウドにアップロードして同期しますか？`
-            );
-
-            if (shouldSync) {
-                const success = await storage.uploadLocalDataToFirestore();
-                if (success) {
-                    ui.showToast('データをクラウドにアップロードしました！', 'success');
-                    await this.refreshData();
-                } else {
-                    ui.showToast('アップロードに失敗しました', 'error');
-                }
-            }
+        const plan = await storage.planLocalDataMerge();
+        if (plan.length > 0) {
+            ui.openMergeModal(plan);
         }
     }
 
@@ -136,11 +157,17 @@ class SubscManApp {
                 initialLoginBtn.addEventListener('click', () => this.handleLogin());
             }
 
+            // 通貨の選択肢を生成
+            ui.populateCurrencyOptions();
+
             // ===================================
             // ヘッダーボタン
             // ===================================
             document.getElementById('btn-add-subscription').addEventListener('click', () => ui.openAddModal());
             document.getElementById('btn-exchange-rate').addEventListener('click', () => ui.openExchangeRateModal());
+            document.getElementById('btn-data').addEventListener('click', () => ui.openDataModal());
+            document.getElementById('btn-rate-stale').addEventListener('click', () => ui.openExchangeRateModal());
+            document.getElementById('btn-sync-status').addEventListener('click', () => ui.handleSyncRetry());
             document.getElementById('btn-add-first')?.addEventListener('click', () => ui.openAddModal());
 
             // ===================================
@@ -152,13 +179,47 @@ class SubscManApp {
                 e.preventDefault();
                 ui.handleFormSubmit();
             });
+            document.getElementById('form-subscription').addEventListener('input', (e) => ui.clearFieldError(e.target));
+
+            // カスタムサイクルの入力欄の表示切り替え
+            document.getElementById('billing-cycle').addEventListener('change', () => ui.toggleCustomInterval());
+
+            // プロモ・段階料金の期間を追加
+            document.getElementById('btn-add-price-period').addEventListener('click', () => ui.addPricePeriodRow());
+
+            // トライアル終了日の入力欄の表示切り替え
+            document.getElementById('is-trial').addEventListener('change', () => ui.toggleTrialFields());
 
             // フォームプレビュー更新
-            ['amount-original', 'currency', 'billing-cycle'].forEach(id => {
+            ['amount-original', 'currency', 'billing-cycle', 'interval-count', 'interval-unit',
+                'fx-fee-percent', 'tax-rate', 'tax-excluded'].forEach(id => {
                 document.getElementById(id).addEventListener('change', () => ui.updateFormPreview());
                 document.getElementById(id).addEventListener('input', () => ui.updateFormPreview());
             });
 
+            // ===================================
+            // 解約モーダル・解約済み一覧
+            // ===================================
+            document.getElementById('btn-close-cancellation').addEventListener('click', () => ui.closeModal('modal-cancel-subscription'));
+            document.getElementById('btn-cancel-cancellation').addEventListener('click', () => ui.closeModal('modal-cancel-subscription'));
+            document.getElementById('form-cancel').addEventListener('input', (e) => ui.clearFieldError(e.target));
+            document.getElementById('form-cancel').addEventListener('submit', (e) => {
+                e.preventDefault();
+                ui.handleCancelSubmit();
+            });
+            document.getElementById('btn-toggle-archive').addEventListener('click', () => ui.toggleListCard('archive-card', 'btn-toggle-archive'));
+            document.getElementById('btn-toggle-trash').addEventListener('click', () => ui.toggleListCard('trash-card', 'btn-toggle-trash'));
+
+            // ===================================
+            // ローカルデータの同期モーダル
+            // ===================================
+            document.getElementById('btn-close-merge').addEventListener('click', () => ui.closeModal('modal-merge-local'));
+            document.getElementById('btn-cancel-merge').addEventListener('click', () => ui.closeModal('modal-merge-local'));
+            document.getElementById('form-merge').addEventListener('submit', (e) => {
+                e.preventDefault();
+                ui.handleMergeSubmit();
+            });
+
             // ===================================
             // 削除確認モーダル
             // ===================================
@@ -172,6 +233,49 @@ class SubscManApp {
             document.getElementById('btn-close-exchange').addEventListener('click', () => ui.closeModal('modal-exchange-rate'));
             document.getElementById('btn-save-rate').addEventListener('click', () => ui.saveExchangeRate());
             document.getElementById('btn-fetch-rate').addEventListener('click', () => ui.fetchExchangeRate());
+            document.getElementById('rate-history-currency').addEventListener('change', () => ui.updateRateHistoryChart());
+
+            // ===================================
+            // データの管理モーダル
+            // ===================================
+            document.getElementById('btn-close-data').addEventListener('click', () => ui.closeModal('modal-data'));
+            document.getElementById('btn-export-json').addEventListener('click', () => ui.handleExportJson());
+            document.getElementById('btn-import-json').addEventListener('click', () => ui.handleImportJson());
+            document.getElementById('btn-open-statement').addEventListener('click', () => ui.openStatementModal());
+            document.getElementById('btn-open-tracker').addEventListener('click', () => ui.openTrackerModal());
+
+            // ===================================
+            // 他のアプリから移行モーダル
+            // ===================================
+            document.getElementById('btn-close-tracker').addEventListener('click', () => ui.closeModal('modal-tracker'));
+            document.getElementById('btn-cancel-tracker').addEventListener('click', () => ui.closeModal('modal-tracker'));
+            document.getElementById('btn-tracker-template').addEventListener('click', () => ui.handleTrackerTemplate());
+            document.getElementById('btn-tracker-preview').addEventListener('click', () => ui.handleTrackerPreview());
+            document.getElementById('form-tracker').addEventListener('submit', (e) => {
+                e.preventDefault();
+                ui.handleTrackerSubmit();
+            });
+
+            // ===================================
+            // 一覧の書き出しモーダル
+            // ===================================
+            document.getElementById('btn-export-table').addEventListener('click', () => ui.openModal('modal-export'));
+            document.getElementById('btn-close-export').addEventListener('click', () => ui.closeModal('modal-export'));
+            document.getElementById('btn-cancel-export').addEventListener('click', () => ui.closeModal('modal-export'));
+            document.getElementById('btn-confirm-export').addEventListener('click', () => ui.handleExportTable());
+
+            // ===================================
+            // 明細の取り込みモーダル
+            // ===================================
+            document.getElementById('btn-close-statement').addEventListener('click', () => ui.closeModal('modal-statement'));
+            document.getElementById('btn-cancel-statement').addEventListener('click', () => ui.closeModal('modal-statement'));
+            document.getElementById('statement-file').addEventListener('change', () => ui.handleStatementFileChange());
+            document.getElementById('statement-format').addEventListener('change', () => ui.handleStatementFormatChange());
+            document.getElementById('btn-statement-detect').addEventListener('click', () => ui.handleStatementDetect());
+            document.getElementById('form-statement').addEventListener('submit', (e) => {
+                e.preventDefault();
+                ui.handleStatementSubmit();
+            });
 
             // ===================================
             // API設定モーダル
@@ -180,6 +284,24 @@ class SubscManApp {
             document.getElementById('btn-close-api').addEventListener('click', () => ui.closeModal('modal-api-settings'));
             document.getElementById('btn-cancel-api').addEventListener('click', () => ui.closeModal('modal-api-settings'));
             document.getElementById('btn-save-api').addEventListener('click', () => ui.saveApiSettings());
+            document.getElementById('btn-lock-api').addEventListener('click', () => ui.handleLockApiKey());
+            document.getElementById('api-encrypt').addEventListener('change', () => ui.toggleApiPassphraseFields());
+
+            // APIキーのロック解除モーダル
+            document.getElementById('btn-close-api-unlock').addEventListener('click', () => ui.closeModal('modal-api-unlock'));
+            document.getElementById('btn-cancel-api-unlock').addEventListener('click', () => ui.closeModal('modal-api-unlock'));
+            document.getElementById('btn-reset-api').addEventListener('click', () => ui.handleResetApiKey());
+            document.getElementById('form-api-unlock').addEventListener('submit', (e) => {
+                e.preventDefault();
+                ui.handleApiUnlock();
+            });
+
+            // 操作がある間は APIキーのロックを延長し、ロック状態が変わったら表示を更新
+            ['pointerdown', 'keydown'].forEach(type => {
+                document.addEventListener(type, () => keyVault.touch(), { passive: true });
+            });
+            keyVault.onChange((unlocked) => ui.handleApiLockChange(unlocked));
+            ui.updateApiLockStatus();
 
             // ===================================
             // AIアドバイザー
@@ -192,6 +314,10 @@ class SubscManApp {
             document.getElementById('filter-category').addEventListener('change', () => ui.filterTable());
             document.getElementById('filter-cycle').addEventListener('change', () => ui.filterTable());
 
+            // クラウドの内容に誤りのあるサブスクの修正・削除
+            document.getElementById('btn-fix-invalid').addEventListener('click', () => ui.handleFixInvalid());
+            document.getElementById('btn-remove-invalid').addEventListener('click', () => ui.handleRemoveInvalid());
+
             // テーブルソート
             document.querySelectorAll('.subscription-table th.sortable').forEach(th => {
                 th.addEventListener('click', () => ui.sortTable(th.dataset.sort));
@@ -206,8 +332,16 @@ class SubscManApp {
                 });
             });
 
+            // 同期状態をヘッダーに表示し、未送信の変更があれば再送信を開始
+            syncQueue.onChange((state, count) => ui.updateSyncStatus(state, count));
+            syncQueue.onDiscard((groups) => ui.handleSyncDiscard(groups));
+            syncQueue.start();
+
             // 初期データ読み込み
             await ui.refreshAll();
+
+            // 為替レートが古ければ自動更新（以降も定期的に確認）
+            exchangeRateService.startAutoRefresh((result) => ui.handleAutoRateRefresh(result));
         });
     }
 }
@@ -4,142 +4,812 @@
  */
 
 class SubscriptionCalculator {
+    constructor() {
+        // 1年あたりの平均日数（うるう年を含むグレゴリオ暦の平均）
+        this.DAYS_PER_YEAR = 365.2425;
+
+        // 支払いサイクルのプリセット（カスタムは間隔をサブスクごとに保持）
+        this.BILLING_CYCLES = {
+            '週払い': { unit: 'week', count: 1 },
+            '月払い': { unit: 'month', count: 1 },
+            '四半期払い': { unit: 'month', count: 3 },
+            '半年払い': { unit: 'month', count: 6 },
+            '年払い': { unit: 'year', count: 1 }
+        };
+        this.CUSTOM_CYCLE = 'カスタム';
+
+        // 間隔の単位と表示名
+        this.INTERVAL_UNITS = {
+            day: '日',
+            week: '週',
+            month: 'ヶ月',
+            year: '年'
+        };
+
+        // 集計・表示に使う基準通貨と為替レート（applySettings で設定を反映）
+        this.baseCurrency = 'JPY';
+        this.exchangeRates = currencyRegistry.getDefaultRates();
+
+        // 値上げを検出する期間（日）
+        this.PRICE_INCREASE_WINDOW_DAYS = 365;
+
+        // 「まもなく終了」として強調するトライアルの残り日数
+        this.TRIAL_ENDING_SOON_DAYS = 7;
+    }
+
+    /**
+     * 集計・表示に使う基準通貨と為替レートを設定から反映
+     * @param {Object} settings - 設定（base_currency, exchange_rates）
+     */
+    applySettings(settings) {
+        if (currencyRegistry.has(settings.base_currency)) {
+            this.baseCurrency = settings.base_currency;
+        }
+        this.exchangeRates = settings.exchange_rates;
+    }
+
     /**
-     * 通貨を日本円に変換
+     * 通貨の円レートを取得
+     * @param {string} currency - 通貨コード（通貨レジストリに登録されたもの）
+     * @param {Object} exchangeRates - 通貨別レート { USD: 150, EUR: 160, ... }（1単位あたりの円）
+     * @returns {number} 1単位あたりの円
+     */
+    getRateToJPY(currency, exchangeRates) {
+        if (currency === currencyRegistry.RATE_CURRENCY) {
+            return 1;
+        }
+
+        if (!currencyRegistry.has(currency)) {
+            throw new Error(`未対応の通貨です: ${currency}`);
+        }
+
+        // 設定にレートがない通貨はレジストリの既定値を使う
+        return exchangeRates[currency] || currencyRegistry.get(currency).defaultRate;
+    }
+
+    /**
+     * 通貨を別の通貨に変換（円レートを介したクロスレート）
      * @param {number} amount - 元の金額
-     * @param {string} currency - 通貨コード（'JPY' または 'USD'）
-     * @param {number} exchangeRate - USD/JPY レート
-     * @returns {number} 日本円での金額
+     * @param {string} fromCurrency - 変換元の通貨コード
+     * @param {string} toCurrency - 変換先の通貨コード
+     * @param {Object} exchangeRates - 通貨別レート（1単位あたりの円）
+     * @returns {number} 変換後の金額
      */
-    convertToJPY(amount, currency, exchangeRate) {
-        if (currency === 'JPY') {
+    convert(amount, fromCurrency, toCurrency, exchangeRates) {
+        if (fromCurrency === toCurrency) {
             return amount;
-        } else if (currency === 'USD') {
-            return amount * exchangeRate;
         }
-        // その他の通貨は未対応
-        return amount;
+        return amount * this.getRateToJPY(fromCurrency, exchangeRates) / this.getRateToJPY(toCurrency, exchangeRates);
     }
 
     /**
-     * 月額と年額を計算
-     * @param {number} originalJPY - 円換算後の元金額
-     * @param {string} billingCycle - 支払いサイクル（'月払い', '年払い', 'その他'）
+     * 通貨を設定の基準通貨に変換
+     * @param {number} amount - 元の金額
+     * @param {string} currency - 通貨コード
+     * @param {Object} settings - 設定（exchange_rates, base_currency）
+     * @returns {number} 基準通貨での金額
+     */
+    convertToBase(amount, currency, settings) {
+        return this.convert(amount, currency, settings.base_currency, settings.exchange_rates);
+    }
+
+    /**
+     * 金額を通貨の小数桁数で丸める
+     * @param {number} amount - 金額
+     * @param {string} currency - 通貨コード
+     * @returns {number} 丸めた金額
+     */
+    roundAmount(amount, currency) {
+        const factor = Math.pow(10, currencyRegistry.get(currency).decimals);
+        return Math.round(amount * factor) / factor;
+    }
+
+    /**
+     * サブスクリプションの請求間隔を取得
+     * billing_interval が保存されていて1以上の整数ならそれを、なければ billing_cycle のプリセットを使う
+     * （旧データの「その他」などプリセットにないものは1ヶ月として扱う）
+     * @param {Object} data - サブスクリプションデータ
+     * @returns {Object} { unit: 'day'|'week'|'month'|'year', count: number }
+     */
+    getBillingInterval(data) {
+        const interval = data.billing_interval;
+        // 1未満になる間隔（0.5 など）は請求日が進まなくなるため使わない
+        const count = interval ? parseInt(interval.count, 10) : NaN;
+        if (interval && this.INTERVAL_UNITS[interval.unit] && Number.isInteger(count) && count >= 1) {
+            return { unit: interval.unit, count };
+        }
+        const preset = this.BILLING_CYCLES[data.billing_cycle];
+        return preset ? { ...preset } : { unit: 'month', count: 1 };
+    }
+
+    /**
+     * 支払いサイクルの分類キーを取得（プリセット以外はすべてカスタム）
+     * @param {Object} data - サブスクリプションデータ
+     * @returns {string} '週払い' | '月払い' | '四半期払い' | '半年払い' | '年払い' | 'カスタム'
+     */
+    getCycleKey(data) {
+        return this.BILLING_CYCLES[data.billing_cycle] ? data.billing_cycle : this.CUSTOM_CYCLE;
+    }
+
+    /**
+     * 支払いサイクルの表示名を取得
+     * @param {Object} data - サブスクリプションデータ
+     * @returns {string} 表示名（例：'月払い', '3ヶ月ごと'）
+     */
+    getCycleLabel(data) {
+        if (this.BILLING_CYCLES[data.billing_cycle]) {
+            return data.billing_cycle;
+        }
+        const { unit, count } = this.getBillingInterval(data);
+        return `${count}${this.INTERVAL_UNITS[unit]}ごと`;
+    }
+
+    /**
+     * 1回あたりの金額を月額と年額に正規化
+     * @param {number} amount - 基準通貨換算後の元金額（1回の請求額）
+     * @param {Object} interval - 請求間隔 { unit, count }
+     * @param {string} currency - 丸めに使う通貨コード（省略時は基準通貨）
      * @returns {Object} { monthly, yearly }
      */
-    calculateMonthlyYearly(originalJPY, billingCycle) {
-        let monthly, yearly;
+    calculateMonthlyYearly(amount, interval, currency = this.baseCurrency) {
+        let yearly;
 
-        switch (billingCycle) {
-            case '月払い':
-                monthly = originalJPY;
-                yearly = originalJPY * 12;
+        switch (interval.unit) {
+            case 'day':
+                yearly = amount * this.DAYS_PER_YEAR / interval.count;
+                break;
+            case 'week':
+                yearly = amount * (this.DAYS_PER_YEAR / 7) / interval.count;
                 break;
-            case '年払い':
-                monthly = originalJPY / 12;
-                yearly = originalJPY;
+            case 'year':
+                yearly = amount / interval.count;
                 break;
-            case 'その他':
+            case 'month':
             default:
-                // その他の場合は月額として扱う
-                monthly = originalJPY;
-                yearly = originalJPY * 12;
+                yearly = amount * 12 / interval.count;
                 break;
         }
 
         return {
-            monthly: Math.round(monthly),
-            yearly: Math.round(yearly)
+            monthly: this.roundAmount(yearly / 12, currency),
+            yearly: this.roundAmount(yearly, currency)
         };
     }
 
+    /**
+     * 海外事務手数料率を取得（基準通貨建てには掛からない）
+     * @param {Object} data - サブスクリプションデータ（fx_fee_percent が null なら既定値）
+     * @param {Object} settings - 設定
+     * @returns {number} 手数料率（%）
+     */
+    getFxFeePercent(data, settings) {
+        if (data.currency === settings.base_currency) {
+            return 0;
+        }
+        return data.fx_fee_percent ?? settings.fx_fee_percent ?? 0;
+    }
+
+    /**
+     * 上乗せする消費税率を取得（税抜価格として登録したものだけに掛かる）
+     * @param {Object} data - サブスクリプションデータ（tax_rate が null なら既定値）
+     * @param {Object} settings - 設定
+     * @returns {number} 税率（%）
+     */
+    getTaxPercent(data, settings) {
+        if (!data.tax_excluded) {
+            return 0;
+        }
+        return data.tax_rate ?? settings.tax_rate ?? 0;
+    }
+
     /**
      * サブスクリプション保存時の金額計算
+     * 手数料・税込みの実支払額（amount_*）と、為替換算のみの金額（amount_*_net）を基準通貨で求める
      * @param {Object} data - サブスクリプションデータ
-     * @param {number} exchangeRate - USD/JPY レート
-     * @returns {Object} { amount_jpy_monthly, amount_jpy_yearly }
+     * @param {Object} settings - 設定（exchange_rates, base_currency, fx_fee_percent, tax_rate）
+     * @returns {Object} { amount_monthly, amount_yearly, amount_monthly_net, amount_yearly_net, amount_currency }
      */
-    calculateAmounts(data, exchangeRate) {
-        // 1. 元の金額を円に変換
-        const originalJPY = this.convertToJPY(
+    calculateAmounts(data, settings) {
+        // 1. 元の金額を基準通貨に変換
+        const original = this.convertToBase(
             parseFloat(data.amount_original),
             data.currency,
-            exchangeRate
+            settings
         );
 
-        // 2. 月額/年額を計算
-        const { monthly, yearly } = this.calculateMonthlyYearly(
-            originalJPY,
-            data.billing_cycle
-        );
+        // 2. 消費税と海外事務手数料を上乗せ
+        const gross = original
+            * (1 + this.getTaxPercent(data, settings) / 100)
+            * (1 + this.getFxFeePercent(data, settings) / 100);
+
+        // 3. 月額/年額を計算
+        const interval = this.getBillingInterval(data);
+        const grossAmounts = this.calculateMonthlyYearly(gross, interval, settings.base_currency);
+        const netAmounts = this.calculateMonthlyYearly(original, interval, settings.base_currency);
 
         return {
-            amount_jpy_monthly: monthly,
-            amount_jpy_yearly: yearly
+            amount_monthly: grossAmounts.monthly,
+            amount_yearly: grossAmounts.yearly,
+            amount_monthly_net: netAmounts.monthly,
+            amount_yearly_net: netAmounts.yearly,
+            amount_currency: settings.base_currency
         };
     }
 
     /**
-     * アクティブなサブスクの月額合計を計算
+     * 解約による利用終了日を取得
+     * @param {Object} sub - サブスクリプション
+     * @returns {Date|null} 終了日（この日以降は請求されない）。解約していなければ null
+     */
+    getEndDate(sub) {
+        return sub.cancel_date ? this.parseDate(sub.cancel_date) : null;
+    }
+
+    /**
+     * 解約済みで利用終了日を過ぎているかどうか
+     * @param {Object} sub - サブスクリプション
+     * @param {Date} today - 基準日
+     * @returns {boolean} 終了日が基準日以前なら true（終了日が先の解約予定は false）
+     */
+    isEnded(sub, today = new Date()) {
+        const endDate = this.getEndDate(sub);
+        if (!endDate) {
+            return false;
+        }
+        return endDate <= new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    }
+
+    /**
+     * 契約中のサブスクを取得（合計の対象）
+     * is_active は解約を記録した時点の状態のため、解約予定の利用終了日を過ぎたものは isEnded で除く
+     * @param {Array} subscriptions - サブスクリプション配列
+     * @param {Date} today - 基準日
+     * @returns {Array} 契約中のサブスクリプション
+     */
+    getActiveSubscriptions(subscriptions, today = new Date()) {
+        return subscriptions.filter(sub => sub.is_active && !this.isEnded(sub, today));
+    }
+
+    /**
+     * 無料トライアル期間中かどうか
+     * @param {Object} sub - サブスクリプション
+     * @param {Date} today - 基準日
+     * @returns {boolean} トライアル終了日（有料化する日）より前なら true
+     */
+    isInTrial(sub, today = new Date()) {
+        if (!sub.is_trial || !sub.trial_end_date) {
+            return false;
+        }
+        const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        return this.parseDate(sub.trial_end_date) > todayStart;
+    }
+
+    /**
+     * 現在課金中のサブスク（トライアル期間中のものを除く）を取得
+     * @param {Array} subscriptions - サブスクリプション配列
+     * @param {Date} today - 基準日
+     * @returns {Array} サブスクリプション配列
+     */
+    getPayingSubscriptions(subscriptions, today = new Date()) {
+        return subscriptions.filter(sub => !this.isInTrial(sub, today));
+    }
+
+    /**
+     * トライアル期間中のサブスクを終了日の近い順に取得
+     * @param {Array} subscriptions - サブスクリプション配列
+     * @param {Date} today - 基準日
+     * @returns {Array} [{ subscription, endDate, daysLeft, endingSoon }]
+     */
+    getTrials(subscriptions, today = new Date()) {
+        const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        return subscriptions
+            .filter(sub => this.isInTrial(sub, today) && !sub.cancel_date)
+            .map(sub => {
+                const endDate = this.parseDate(sub.trial_end_date);
+                const daysLeft = Math.round((endDate - todayStart) / (24 * 60 * 60 * 1000));
+                return {
+                    subscription: sub,
+                    endDate,
+                    daysLeft,
+                    endingSoon: daysLeft <= this.TRIAL_ENDING_SOON_DAYS
+                };
+            })
+            .sort((a, b) => a.endDate - b.endDate);
+    }
+
+    /**
+     * 指定日に適用される価格での月額を取得（プロモ・段階料金を反映）
+     * @param {Object} sub - サブスクリプション
+     * @param {Date} date - 日付
+     * @returns {number} 月額（基準通貨）
+     */
+    getCurrentMonthly(sub, date = new Date()) {
+        return (sub.amount_monthly || 0) * this.getPriceRatioAt(sub, date);
+    }
+
+    /**
+     * 指定日に適用される価格での年額を取得（プロモ・段階料金を反映）
+     * @param {Object} sub - サブスクリプション
+     * @param {Date} date - 日付
+     * @returns {number} 年額（基準通貨）
+     */
+    getCurrentYearly(sub, date = new Date()) {
+        return (sub.amount_yearly || 0) * this.getPriceRatioAt(sub, date);
+    }
+
+    /**
+     * アクティブなサブスクの月額合計を計算（現在の適用価格、トライアル期間中のものは含まない）
      * @param {Array} subscriptions - サブスクリプション配列
      * @returns {number} 月額合計
      */
     getTotalMonthly(subscriptions) {
-        return subscriptions.reduce((sum, sub) => {
-            return sum + (sub.amount_jpy_monthly || 0);
+        return this.getPayingSubscriptions(subscriptions).reduce((sum, sub) => {
+            return sum + this.getCurrentMonthly(sub);
         }, 0);
     }
 
     /**
-     * アクティブなサブスクの年額合計を計算
+     * アクティブなサブスクの年額合計を計算（現在の適用価格、トライアル期間中のものは含まない）
      * @param {Array} subscriptions - サブスクリプション配列
      * @returns {number} 年額合計
      */
     getTotalYearly(subscriptions) {
-        return subscriptions.reduce((sum, sub) => {
-            return sum + (sub.amount_jpy_yearly || 0);
+        return this.getPayingSubscriptions(subscriptions).reduce((sum, sub) => {
+            return sum + this.getCurrentYearly(sub);
         }, 0);
     }
 
     /**
-     * カテゴリ別の月額内訳を計算
+     * カテゴリ別の月額内訳を計算（トライアル期間中のものは含まない）
      * @param {Array} subscriptions - サブスクリプション配列
      * @returns {Object} カテゴリ別金額 { 'エンタメ': 1000, ... }
      */
     getCategoryBreakdown(subscriptions) {
         const breakdown = {};
 
-        subscriptions.forEach(sub => {
+        this.getPayingSubscriptions(subscriptions).forEach(sub => {
             const category = sub.category || 'その他';
             if (!breakdown[category]) {
                 breakdown[category] = 0;
             }
-            breakdown[category] += sub.amount_jpy_monthly || 0;
+            breakdown[category] += this.getCurrentMonthly(sub);
         });
 
         return breakdown;
     }
 
     /**
-     * 金額を円表示用にフォーマット
-     * @param {number} amount - 金額
-     * @returns {string} フォーマット済み文字列（例：¥1,234）
+     * 'YYYY-MM-DD' 形式の日付をローカル日付として解釈
+     * @param {string} dateStr - 日付文字列
+     * @returns {Date} ローカル時刻0時の日付
+     */
+    parseDate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * 基準日から請求間隔の指定回数分だけ進めた日付を取得
+     * 月・年単位で存在しない日付（31日など）は、その月の末日に丸める
+     * @param {Date} anchor - 基準日
+     * @param {Object} interval - 請求間隔 { unit, count }
+     * @param {number} times - 進める回数
+     * @returns {Date} 進めた日付
      */
-    formatJPY(amount) {
-        return '¥' + Math.round(amount).toLocaleString('ja-JP');
+    addInterval(anchor, interval, times) {
+        const steps = interval.count * times;
+        const year = anchor.getFullYear();
+        const month = anchor.getMonth();
+        const day = anchor.getDate();
+
+        if (interval.unit === 'day') {
+            return new Date(year, month, day + steps);
+        }
+        if (interval.unit === 'week') {
+            return new Date(year, month, day + steps * 7);
+        }
+
+        const months = interval.unit === 'year' ? steps * 12 : steps;
+        const lastDay = new Date(year, month + months + 1, 0).getDate();
+        return new Date(year, month + months, Math.min(day, lastDay));
+    }
+
+    /**
+     * 日付を 'YYYY-MM-DD' 形式（ローカル日付）に変換
+     * @param {Date} date - 日付
+     * @returns {string} 日付文字列
+     */
+    toDateString(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * 価格履歴を取得（古い順）
+     * 履歴のない旧データは現在の価格を開始日からの唯一の価格として扱う
+     * @param {Object} sub - サブスクリプション
+     * @returns {Array} [{ date, amount_original, currency }]
+     */
+    getPriceHistory(sub) {
+        if (sub.price_history && sub.price_history.length > 0) {
+            return [...sub.price_history].sort((a, b) => a.date.localeCompare(b.date));
+        }
+        return [{
+            date: sub.start_date || (sub.created_at || '').slice(0, 10),
+            amount_original: parseFloat(sub.amount_original),
+            currency: sub.currency
+        }];
+    }
+
+    /**
+     * 指定日に適用されるプロモ・段階料金の期間を取得
+     * 期間は開始日〜終了日（終了日を含む、未設定なら無期限）。重なる場合は開始日の遅いものを優先
+     * @param {Object} sub - サブスクリプション
+     * @param {Date} date - 日付
+     * @returns {Object|null} { start_date, end_date, amount }。該当なしは null
+     */
+    getScheduledPrice(sub, date) {
+        const dateStr = this.toDateString(date);
+        return (sub.price_schedule || [])
+            .filter(period => period.start_date <= dateStr && (!period.end_date || dateStr <= period.end_date))
+            .sort((a, b) => b.start_date.localeCompare(a.start_date))[0] || null;
+    }
+
+    /**
+     * 指定日に有効な価格を取得
+     * プロモ・段階料金の期間内はその金額、それ以外は価格履歴から求める
+     * @param {Object} sub - サブスクリプション
+     * @param {Date} date - 日付
+     * @returns {Object} { date, amount_original, currency }（最初の記録より前は最初の価格）
+     */
+    getPriceAt(sub, date) {
+        const scheduled = this.getScheduledPrice(sub, date);
+        if (scheduled) {
+            return { date: scheduled.start_date, amount_original: scheduled.amount, currency: sub.currency };
+        }
+
+        const dateStr = this.toDateString(date);
+        const history = this.getPriceHistory(sub);
+        let price = history[0];
+        history.forEach(entry => {
+            if (entry.date <= dateStr) {
+                price = entry;
+            }
+        });
+        return price;
+    }
+
+    /**
+     * 直近の値上げを検出
+     * @param {Object} sub - サブスクリプション
+     * @param {Date} today - 基準日
+     * @returns {Object|null} { date, from, to, currency, percent }。期間内に値上げがなければ null
+     */
+    getRecentPriceIncrease(sub, today = new Date()) {
+        const history = this.getPriceHistory(sub);
+        const since = new Date(today.getFullYear(), today.getMonth(), today.getDate() - this.PRICE_INCREASE_WINDOW_DAYS);
+        const sinceStr = this.toDateString(since);
+
+        for (let i = history.length - 1; i > 0; i--) {
+            const entry = history[i];
+            if (entry.date < sinceStr) {
+                break;
+            }
+            // 通貨が変わった場合は基準通貨に換算して比較
+            const before = this.convert(history[i - 1].amount_original, history[i - 1].currency, entry.currency, this.exchangeRates);
+            if (entry.amount_original > before) {
+                return {
+                    date: entry.date,
+                    from: history[i - 1].amount_original,
+                    fromCurrency: history[i - 1].currency,
+                    to: entry.amount_original,
+                    currency: entry.currency,
+                    percent: Math.round((entry.amount_original / before - 1) * 100)
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 1回あたりの請求額（基準通貨、手数料・税込み）を取得
+     * @param {Object} sub - サブスクリプション
+     * @returns {number} 1回の請求額
+     */
+    getChargeAmount(sub) {
+        const { unit, count } = this.getBillingInterval(sub);
+        const chargesPerYear = {
+            day: this.DAYS_PER_YEAR,
+            week: this.DAYS_PER_YEAR / 7,
+            month: 12,
+            year: 1
+        }[unit] / count;
+        return this.roundAmount((sub.amount_yearly || 0) / chargesPerYear, this.baseCurrency);
+    }
+
+    /**
+     * 指定日に有効な価格と、保存済み金額の元になった価格（amount_original）の比を取得
+     * 手数料・税は金額に比例するため、保存済みの換算額にこの比を掛けて指定日の金額を求める
+     * @param {Object} sub - サブスクリプション
+     * @param {Date} date - 日付
+     * @returns {number} 価格の比
+     */
+    getPriceRatioAt(sub, date) {
+        const current = parseFloat(sub.amount_original);
+        if (!(current > 0)) {
+            return 1;
+        }
+        const price = this.getPriceAt(sub, date);
+        return this.convert(price.amount_original, price.currency, sub.currency, this.exchangeRates) / current;
+    }
+
+    /**
+     * 指定日の請求額（基準通貨、手数料・税込み）を取得
+     * 価格履歴とプロモ・段階料金から、その日に有効な価格で計算する
+     * @param {Object} sub - サブスクリプション
+     * @param {Date} date - 請求日
+     * @returns {number} 請求額
+     */
+    getChargeAmountAt(sub, date) {
+        return this.getChargeAmount(sub) * this.getPriceRatioAt(sub, date);
+    }
+
+    /**
+     * 今後の値上がり（プロモ終了・段階料金の切り替え）を列挙
+     * @param {Array} subscriptions - サブスクリプション配列
+     * @param {Date} today - 基準日
+     * @param {number} months - 対象期間（月数）
+     * @returns {Array} 日付順 [{ date, subscription, before, after }]（before/after は基準通貨の月額）
+     */
+    getUpcomingStepUps(subscriptions, today = new Date(), months = 12) {
+        const todayStr = this.toDateString(today);
+        const untilStr = this.toDateString(new Date(today.getFullYear(), today.getMonth() + months, today.getDate()));
+        const stepUps = [];
+
+        subscriptions.forEach(sub => {
+            // 価格が切り替わりうる日：各期間の開始日と終了日の翌日
+            const boundaries = new Set();
+            (sub.price_schedule || []).forEach(period => {
+                boundaries.add(period.start_date);
+                if (period.end_date) {
+                    const end = this.parseDate(period.end_date);
+                    boundaries.add(this.toDateString(new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1)));
+                }
+            });
+
+            [...boundaries].filter(dateStr => dateStr > todayStr && dateStr <= untilStr).forEach(dateStr => {
+                const date = this.parseDate(dateStr);
+                const dayBefore = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+                const before = this.getCurrentMonthly(sub, dayBefore);
+                const after = this.getCurrentMonthly(sub, date);
+                if (after > before) {
+                    stepUps.push({ date, subscription: sub, before, after });
+                }
+            });
+        });
+
+        return stepUps.sort((a, b) => a.date - b.date);
+    }
+
+    /**
+     * 期間内の請求予定を列挙
+     * 初回請求日（getFirstChargeDate）を起点に請求間隔ごとに展開する。起点のないサブスクは含まない
+     * 解約予定のサブスクは利用終了日より前の請求のみ含む
+     * @param {Array} subscriptions - サブスクリプション配列
+     * @param {Date} from - 期間の開始日（この日を含む）
+     * @param {Date} until - 期間の終了日（この日を含まない）
+     * @returns {Array} 日付順の請求予定 [{ date, subscription, amount }]
+     */
+    getChargeSchedule(subscriptions, from, until) {
+        const charges = [];
+
+        subscriptions.forEach(sub => {
+            const anchorStr = this.isInTrial(sub, from)
+                ? sub.trial_end_date
+                : sub.next_billing_date || this.getFirstChargeDate(sub);
+            if (!anchorStr) {
+                return;
+            }
+
+            const anchor = this.parseDate(anchorStr);
+            const interval = this.getBillingInterval(sub);
+            const endDate = this.getEndDate(sub);
+            const end = endDate && endDate < until ? endDate : until;
+
+            // 起点が過去の場合は期間の開始まで進める
+            let times = 0;
+            let date = anchor;
+            while (date < from) {
+                times++;
+                date = this.addInterval(anchor, interval, times);
+            }
+
+            while (date < end) {
+                charges.push({ date, subscription: sub, amount: this.getChargeAmountAt(sub, date) });
+                times++;
+                date = this.addInterval(anchor, interval, times);
+            }
+        });
+
+        return charges.sort((a, b) => a.date - b.date);
+    }
+
+    /**
+     * 初回請求日を取得
+     * トライアル付きのサブスクはトライアル終了日、それ以外は開始日
+     * @param {Object} sub - サブスクリプション
+     * @returns {string|null} 'YYYY-MM-DD' 形式の日付
+     */
+    getFirstChargeDate(sub) {
+        if (sub.is_trial && sub.trial_end_date) {
+            return sub.trial_end_date;
+        }
+        return sub.start_date || null;
+    }
+
+    /**
+     * 開始日から基準日までの累計支払額を計算
+     * 初回請求日から請求間隔ごとの各請求にその時点の価格（価格履歴）を当てて合計する
+     * 解約済みのサブスクは利用終了日より前の請求までを数える
+     * @param {Object} sub - サブスクリプション
+     * @param {Date} today - 基準日（この日の請求を含む）
+     * @returns {number|null} 累計支払額（基準通貨）。開始日が未設定の場合は null
+     */
+    getLifetimeSpend(sub, today = new Date()) {
+        const firstChargeDate = this.getFirstChargeDate(sub);
+        if (!sub.start_date || !firstChargeDate) {
+            return null;
+        }
+
+        const anchor = this.parseDate(firstChargeDate);
+        const interval = this.getBillingInterval(sub);
+        const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        const endDate = this.getEndDate(sub);
+        const until = endDate && endDate < tomorrow ? endDate : tomorrow;
+
+        let total = 0;
+        let times = 0;
+        let date = anchor;
+        while (date < until) {
+            total += this.getChargeAmountAt(sub, date);
+            times++;
+            date = this.addInterval(anchor, interval, times);
+        }
+
+        return this.roundAmount(total, this.baseCurrency);
+    }
+
+    /**
+     * 全サブスクの累計支払額の合計を計算
+     * @param {Array} subscriptions - サブスクリプション配列
+     * @param {Date} today - 基準日
+     * @returns {number} 累計支払額の合計（開始日が未設定のものは含まない）
+     */
+    getTotalLifetimeSpend(subscriptions, today = new Date()) {
+        return subscriptions.reduce((sum, sub) => {
+            return sum + (this.getLifetimeSpend(sub, today) || 0);
+        }, 0);
+    }
+
+    /**
+     * 今月から指定月数分の月別支払い予定を計算
+     * @param {Array} subscriptions - サブスクリプション配列
+     * @param {number} months - 月数
+     * @param {Date} today - 基準日（今月は基準日以降の請求のみ）
+     * @returns {Array} 月別の予定 [{ year, month, total, charges }]（month は 1〜12）
+     */
+    getMonthlyForecast(subscriptions, months = 12, today = new Date()) {
+        const from = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        const until = new Date(today.getFullYear(), today.getMonth() + months, 1);
+
+        const buckets = [];
+        for (let i = 0; i < months; i++) {
+            const date = new Date(today.getFullYear(), today.getMonth() + i, 1);
+            buckets.push({ year: date.getFullYear(), month: date.getMonth() + 1, total: 0, charges: [] });
+        }
+
+        this.getChargeSchedule(subscriptions, from, until).forEach(charge => {
+            const index = (charge.date.getFullYear() - from.getFullYear()) * 12
+                + charge.date.getMonth() - from.getMonth();
+            buckets[index].total += charge.amount;
+            buckets[index].charges.push(charge);
+        });
+
+        return buckets;
+    }
+
+    /**
+     * 解約したサブスクの解約前の月額を取得（利用終了日前日の適用価格）
+     * @param {Object} sub - サブスクリプション
+     * @returns {number} 月額（基準通貨）
+     */
+    getMonthlyBeforeCancel(sub) {
+        const endDate = this.getEndDate(sub);
+        const lastDay = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() - 1);
+        return this.getCurrentMonthly(sub, lastDay);
+    }
+
+    /**
+     * 解約を節約として数えるかどうか
+     * トライアル終了日（有料化する日）以前に利用を終えた場合は一度も支払っていないため数えない
+     * @param {Object} sub - サブスクリプション
+     * @param {Date} today - 基準日
+     * @returns {boolean} 利用終了日を過ぎ、有料期間に入ってから解約したものなら true
+     */
+    isSavingsTarget(sub, today = new Date()) {
+        if (!this.isEnded(sub, today)) {
+            return false;
+        }
+        return !(sub.is_trial && sub.trial_end_date && this.getEndDate(sub) <= this.parseDate(sub.trial_end_date));
+    }
+
+    /**
+     * 解約によって指定日までに節約できた金額を計算
+     * 利用終了日から指定日までの経過日数 × 解約前の月額（日割り）で求める
+     * @param {Array} subscriptions - サブスクリプション配列（解約していないもの・トライアル中の解約は無視）
+     * @param {Date} date - 基準日
+     * @returns {number} 節約額（基準通貨）
+     */
+    getRealizedSavings(subscriptions, date = new Date()) {
+        const daysPerMonth = this.DAYS_PER_YEAR / 12;
+        return subscriptions.filter(sub => this.isSavingsTarget(sub, date)).reduce((sum, sub) => {
+            const days = Math.round((date - this.getEndDate(sub)) / (24 * 60 * 60 * 1000));
+            return sum + this.getMonthlyBeforeCancel(sub) * days / daysPerMonth;
+        }, 0);
+    }
+
+    /**
+     * 解約済みのサブスクによる月あたりの節約額を計算
+     * @param {Array} subscriptions - サブスクリプション配列
+     * @param {Date} today - 基準日
+     * @returns {number} 月額の節約額（基準通貨）
+     */
+    getMonthlySavings(subscriptions, today = new Date()) {
+        return subscriptions.filter(sub => this.isSavingsTarget(sub, today)).reduce((sum, sub) => {
+            return sum + this.getMonthlyBeforeCancel(sub);
+        }, 0);
+    }
+
+    /**
+     * 節約額の累計推移を月末ごとに計算（今月は基準日時点）
+     * @param {Array} subscriptions - サブスクリプション配列
+     * @param {number} months - 月数（今月を含めて遡る）
+     * @param {Date} today - 基準日
+     * @returns {Array} [{ year, month, total }]（month は 1〜12）
+     */
+    getSavingsHistory(subscriptions, months = 12, today = new Date()) {
+        const history = [];
+        for (let i = months - 1; i >= 0; i--) {
+            const monthEnd = i === 0
+                ? new Date(today.getFullYear(), today.getMonth(), today.getDate())
+                : new Date(today.getFullYear(), today.getMonth() - i + 1, 0);
+            history.push({
+                year: monthEnd.getFullYear(),
+                month: monthEnd.getMonth() + 1,
+                total: this.getRealizedSavings(subscriptions, monthEnd)
+            });
+        }
+        return history;
+    }
+
+    /**
+     * 金額を基準通貨の表示用にフォーマット
+     * @param {number} amount - 基準通貨での金額
+     * @returns {string} フォーマット済み文字列（例：¥1,234 / $12.5）
+     */
+    formatBase(amount) {
+        return currencyRegistry.format(this.roundAmount(amount, this.baseCurrency), this.baseCurrency);
     }
 
     /**
      * 元の金額を表示用にフォーマット
      * @param {number} amount - 金額
      * @param {string} currency - 通貨コード
-     * @returns {string} フォーマット済み文字列（例：$20 / ¥1,000）
+     * @returns {string} フォーマット済み文字列（例：$20 / ¥1,000 / €9.99）
      */
     formatOriginalAmount(amount, currency) {
-        if (currency === 'USD') {
-            return '$' + amount.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 });
-        }
-        return '¥' + Math.round(amount).toLocaleString('ja-JP');
+        return currencyRegistry.format(amount, currency);
     }
 }
 
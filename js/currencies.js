@@ -0,0 +1,89 @@
+/**
+ * SubscMan - 通貨レジストリモジュール
+ * 対応通貨の定義（コード・記号・小数桁数）と既定の為替レートを管理
+ */
+
+class CurrencyRegistry {
+    constructor() {
+        // レートの建値通貨（表示用の基準通貨設定とは別に、レートは常に「1単位あたりの円」で保持）
+        this.RATE_CURRENCY = 'JPY';
+
+        // 対応通貨一覧（この順番で選択肢に表示）
+        this.currencies = [
+            { code: 'JPY', symbol: '¥', name: '円', decimals: 0, defaultRate: 1 },
+            { code: 'USD', symbol: '$', name: 'ドル', decimals: 2, defaultRate: 150.00 },
+            { code: 'EUR', symbol: '€', name: 'ユーロ', decimals: 2, defaultRate: 160.00 },
+            { code: 'GBP', symbol: '£', name: 'ポンド', decimals: 2, defaultRate: 190.00 },
+            { code: 'KRW', symbol: '₩', name: 'ウォン', decimals: 0, defaultRate: 0.11 },
+            { code: 'CNY', symbol: 'CN¥', name: '人民元', decimals: 2, defaultRate: 21.00 },
+            { code: 'AUD', symbol: 'A$', name: '豪ドル', decimals: 2, defaultRate: 98.00 },
+            { code: 'CAD', symbol: 'C$', name: 'カナダドル', decimals: 2, defaultRate: 110.00 }
+        ];
+    }
+
+    /**
+     * 全通貨を取得
+     * @returns {Array} 通貨定義の配列
+     */
+    getAll() {
+        return this.currencies;
+    }
+
+    /**
+     * 通貨コードから通貨定義を取得
+     * @param {string} code - 通貨コード
+     * @returns {Object|null} 通貨定義
+     */
+    get(code) {
+        return this.currencies.find(c => c.code === code) || null;
+    }
+
+    /**
+     * 対応通貨かどうか
+     * @param {string} code - 通貨コード
+     * @returns {boolean}
+     */
+    has(code) {
+        return this.get(code) !== null;
+    }
+
+    /**
+     * 円以外の通貨（為替レートが必要な通貨）を取得
+     * @returns {Array} 通貨定義の配列
+     */
+    getForeignCurrencies() {
+        return this.currencies.filter(c => c.code !== this.RATE_CURRENCY);
+    }
+
+    /**
+     * 既定の為替レート表を取得
+     * @returns {Object} { USD: 150, EUR: 160, ... }（1単位あたりの円）
+     */
+    getDefaultRates() {
+        const rates = {};
+        this.getForeignCurrencies().forEach(c => {
+            rates[c.code] = c.defaultRate;
+        });
+        return rates;
+    }
+
+    /**
+     * 金額を通貨の記号と小数桁数でフォーマット
+     * @param {number} amount - 金額
+     * @param {string} code - 通貨コード
+     * @returns {string} フォーマット済み文字列（例：$20 / €9.99 / ₩14,900）
+     */
+    format(amount, code) {
+        const currency = this.get(code);
+        if (!currency) {
+            return `${amount} ${code}`;
+        }
+        return currency.symbol + amount.toLocaleString('ja-JP', {
+            minimumFractionDigits: 0,
+            maximumFractionDigits: currency.decimals
+        });
+    }
+}
+
+// グローバルインスタンスを作成
+const currencyRegistry = new CurrencyRegistry();
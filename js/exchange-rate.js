@@ -0,0 +1,120 @@
+/**
+ * SubscMan - 為替レート取得モジュール
+ * レート提供APIからの取得、レートの鮮度判定、自動更新を担当
+ */
+
+class ExchangeRateService {
+    constructor() {
+        // 自動更新の要否を確認する間隔（1時間）
+        this.CHECK_INTERVAL_MS = 60 * 60 * 1000;
+        this.timerId = null;
+    }
+
+    /**
+     * レート提供APIから最新レートを取得
+     * exchangerate-api.com 互換の { base, rates: { JPY, USD, ... } } 形式に対応
+     * @param {string} providerUrl - 取得先URL
+     * @returns {Promise<Object>} 通貨別レート { USD: 150.2, ... }（1単位あたりの円）
+     */
+    async fetchLatestRates(providerUrl) {
+        const response = await fetch(providerUrl);
+
+        if (!response.ok) {
+            throw new Error('API呼び出しに失敗しました');
+        }
+
+        const data = await response.json();
+        const baseToJpy = data.rates && data.rates.JPY;
+
+        if (!baseToJpy) {
+            throw new Error('レートが取得できませんでした');
+        }
+
+        // 提供元の基準通貨建てのレート表から「1単位あたりの円」に換算
+        const rates = {};
+        currencyRegistry.getForeignCurrencies().forEach(c => {
+            if (data.rates[c.code]) {
+                rates[c.code] = baseToJpy / data.rates[c.code];
+            }
+        });
+        return rates;
+    }
+
+    /**
+     * 最終更新からの経過時間を取得
+     * @param {Object} settings - 設定
+     * @returns {number} 経過時間（時間）。一度も更新していない場合は Infinity
+     */
+    getAgeHours(settings) {
+        if (!settings.last_updated) {
+            return Infinity;
+        }
+        return (Date.now() - new Date(settings.last_updated).getTime()) / (60 * 60 * 1000);
+    }
+
+    /**
+     * レートが古くなっているかどうか
+     * @param {Object} settings - 設定
+     * @returns {boolean} rate_max_age_hours が 0 の場合は常に false
+     */
+    isStale(settings) {
+        if (!settings.rate_max_age_hours) {
+            return false;
+        }
+        return this.getAgeHours(settings) > settings.rate_max_age_hours;
+    }
+
+    /**
+     * 最新レートを取得して保存
+     * @returns {Promise<Object>} storage.updateExchangeRates の結果
+     */
+    async refresh() {
+        const settings = await storage.getSettings();
+        const rates = await this.fetchLatestRates(settings.rate_provider_url);
+        return storage.updateExchangeRates(rates, 'api');
+    }
+
+    /**
+     * レートが古い場合のみ最新レートを取得
+     * @returns {Promise<Object|null>} 更新した場合は storage.updateExchangeRates の結果、しなかった場合は null
+     */
+    async refreshIfStale() {
+        const settings = await storage.getSettings();
+        if (!this.isStale(settings)) {
+            return null;
+        }
+        return this.refresh();
+    }
+
+    /**
+     * 定期的にレートの鮮度を確認し、古ければ自動更新
+     * @param {Function} onChecked - 確認後のコールバック（更新結果または null を受け取る）
+     */
+    startAutoRefresh(onChecked) {
+        const check = async () => {
+            try {
+                onChecked(await this.refreshIfStale());
+            } catch (error) {
+                console.warn('為替レート自動更新エラー:', error);
+                onChecked(null);
+            }
+        };
+
+        this.stopAutoRefresh();
+        check();
+        this.timerId = setInterval(check, this.CHECK_INTERVAL_MS);
+    }
+
+    /**
+     * 自動更新を停止
+     */
+    stopAutoRefresh() {
+        if (this.timerId) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+    }
+}
+
+// グローバルインスタンスを作成
+const exchangeRateService = new ExchangeRateService();
@@ -0,0 +1,251 @@
+/**
+ * SubscMan - APIキーの暗号化モジュール
+ * パスフレーズから PBKDF2 で鍵を導出し、AES-GCM で APIキーを暗号化・復号する
+ * 復号した APIキーはメモリ上にだけ保持し、一定時間操作がなければ破棄（ロック）する
+ */
+
+class KeyVault {
+    constructor() {
+        // 暗号化した APIキーの識別子と形式のバージョン
+        this.FORMAT = 'subscman-encrypted-key';
+        this.VERSION = 1;
+
+        // 鍵導出の反復回数（OWASP の推奨値）とソルト・IV の長さ
+        this.PBKDF2_ITERATIONS = 600000;
+        this.SALT_BYTES = 16;
+        this.IV_BYTES = 12;
+
+        // パスフレーズの最小文字数
+        this.MIN_PASSPHRASE_LENGTH = 8;
+
+        // 操作がないまま経過したらロックするまでの時間
+        this.AUTO_LOCK_MS = 15 * 60 * 1000;
+
+        // ロック解除中の状態 { apiKey, cryptoKey, salt, iterations }（ロック中は null）
+        this.session = null;
+
+        this.listeners = [];
+        this.lockTimerId = null;
+    }
+
+    // ===================================
+    // 暗号化・復号
+    // ===================================
+
+    /**
+     * 保存された値が暗号化した APIキーかどうか
+     * @param {string|null} value - LocalStorage に保存された値
+     * @returns {boolean}
+     */
+    isEncrypted(value) {
+        if (!value || !value.startsWith('{')) return false;
+        try {
+            return JSON.parse(value).format === this.FORMAT;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * APIキーを暗号化し、暗号化したままロックを解除した状態にする
+     * パスフレーズを省略した場合は、ロック解除中の鍵をそのまま使う（APIキーだけを差し替えるとき）
+     * @param {string} apiKey - APIキー
+     * @param {string|null} passphrase - パスフレーズ
+     * @returns {Promise<string>} 保存する値（JSON）
+     */
+    async encrypt(apiKey, passphrase = null) {
+        let { cryptoKey, salt, iterations } = this.session || {};
+
+        if (passphrase !== null) {
+            salt = crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+            iterations = this.PBKDF2_ITERATIONS;
+            cryptoKey = await this.deriveKey(passphrase, salt, iterations);
+        } else if (!cryptoKey) {
+            throw new Error('パスフレーズを入力してください');
+        }
+
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            cryptoKey,
+            new TextEncoder().encode(apiKey)
+        );
+
+        this.unlocked({ apiKey, cryptoKey, salt, iterations });
+
+        return JSON.stringify({
+            format: this.FORMAT,
+            version: this.VERSION,
+            kdf: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations,
+            salt: this.toBase64(salt),
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(data))
+        });
+    }
+
+    /**
+     * 暗号化した APIキーを復号し、ロックを解除する
+     * @param {string} value - 保存された値（JSON）
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<string>} APIキー
+     * @throws {Error} パスフレーズが違う・データが壊れている場合
+     */
+    async decrypt(value, passphrase) {
+        const record = JSON.parse(value);
+        if (record.format !== this.FORMAT || record.version > this.VERSION) {
+            throw new Error('この形式の暗号化には対応していません');
+        }
+
+        const salt = this.fromBase64(record.salt);
+        const cryptoKey = await this.deriveKey(passphrase, salt, record.iterations);
+
+        let data;
+        try {
+            data = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(record.iv) },
+                cryptoKey,
+                this.fromBase64(record.data)
+            );
+        } catch (error) {
+            // AES-GCM は改ざん検知も兼ねるため、パスフレーズ違いとデータの破損は区別できない
+            throw new Error('パスフレーズが正しくありません');
+        }
+
+        const apiKey = new TextDecoder().decode(data);
+        this.unlocked({ apiKey, cryptoKey, salt, iterations: record.iterations });
+        return apiKey;
+    }
+
+    /**
+     * パスフレーズから AES-GCM の鍵を導出
+     * @param {string} passphrase - パスフレーズ
+     * @param {Uint8Array} salt - ソルト
+     * @param {number} iterations - 反復回数
+     * @returns {Promise<CryptoKey>}
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * パスフレーズを検証
+     * @param {string} passphrase - パスフレーズ
+     * @param {string} confirmation - 確認用に再入力したパスフレーズ
+     * @returns {string|null} エラーメッセージ（問題がなければ null）
+     */
+    validatePassphrase(passphrase, confirmation) {
+        if (passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+            return `パスフレーズは${this.MIN_PASSPHRASE_LENGTH}文字以上にしてください`;
+        }
+        if (passphrase !== confirmation) {
+            return 'パスフレーズが確認用と一致しません';
+        }
+        return null;
+    }
+
+    // ===================================
+    // ロック
+    // ===================================
+
+    /**
+     * ロックを解除中かどうか
+     * @returns {boolean}
+     */
+    isUnlocked() {
+        return this.session !== null;
+    }
+
+    /**
+     * ロック解除中の APIキーを取得
+     * @returns {string|null} APIキー（ロック中は null）
+     */
+    getApiKey() {
+        return this.session ? this.session.apiKey : null;
+    }
+
+    /**
+     * ロックを解除した状態にして、自動ロックのタイマーを始める
+     * @param {Object} session - { apiKey, cryptoKey, salt, iterations }
+     */
+    unlocked(session) {
+        this.session = session;
+        this.touch();
+        this.notify();
+    }
+
+    /**
+     * 操作があったことを記録し、自動ロックまでの時間を延長
+     */
+    touch() {
+        if (!this.session) return;
+        clearTimeout(this.lockTimerId);
+        this.lockTimerId = setTimeout(() => this.lock(), this.AUTO_LOCK_MS);
+    }
+
+    /**
+     * ロックする（復号した APIキーと鍵をメモリから破棄）
+     */
+    lock() {
+        clearTimeout(this.lockTimerId);
+        this.lockTimerId = null;
+        if (!this.session) return;
+        this.session = null;
+        this.notify();
+    }
+
+    /**
+     * ロック状態の変化を監視
+     * @param {Function} callback - ロック解除中かどうかを受け取る
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * ロック状態の変化を通知
+     */
+    notify() {
+        const unlocked = this.isUnlocked();
+        this.listeners.forEach(callback => callback(unlocked));
+    }
+
+    // ===================================
+    // ユーティリティ
+    // ===================================
+
+    /**
+     * バイト列を Base64 に変換
+     * @param {Uint8Array} bytes - バイト列
+     * @returns {string}
+     */
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    /**
+     * Base64 をバイト列に変換
+     * @param {string} text - Base64
+     * @returns {Uint8Array}
+     */
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// グローバルインスタンスを作成
+const keyVault = new KeyVault();
@@ -0,0 +1,154 @@
+/**
+ * SubscMan - データ形式の移行モジュール
+ * 保存済みのサブスク・設定に記録したスキーマバージョンを見て、足りない移行を古い順に適用する
+ * 各移行は同じデータに何度適用しても結果が変わらないように書く
+ */
+
+class SchemaMigrator {
+    constructor() {
+        // 移行の一覧（version の昇順）。形式を変えるときは末尾に次の番号で追加する
+        // subscription / settings はそれぞれの形式を受け取り、移行後の新しいオブジェクトを返す
+        this.MIGRATIONS = [
+            {
+                version: 1,
+                description: '円建ての金額を基準通貨の金額に、USDのレートを通貨別のレートに移行',
+                subscription: (sub) => {
+                    if (sub.amount_currency || sub.amount_jpy_monthly === undefined) {
+                        return sub;
+                    }
+                    const { amount_jpy_monthly, amount_jpy_yearly, amount_jpy_monthly_net, amount_jpy_yearly_net, ...rest } = sub;
+                    return {
+                        ...rest,
+                        amount_monthly: amount_jpy_monthly,
+                        amount_yearly: amount_jpy_yearly,
+                        amount_monthly_net: amount_jpy_monthly_net,
+                        amount_yearly_net: amount_jpy_yearly_net,
+                        amount_currency: 'JPY'
+                    };
+                },
+                settings: (settings) => {
+                    if (settings.usd_to_jpy_rate === undefined) {
+                        return settings;
+                    }
+                    const { usd_to_jpy_rate, ...rest } = settings;
+                    const rates = { ...(settings.exchange_rates || {}) };
+                    if (usd_to_jpy_rate && !rates.USD) {
+                        rates.USD = usd_to_jpy_rate;
+                    }
+                    return { ...rest, exchange_rates: rates };
+                }
+            },
+            {
+                version: 2,
+                description: '支払いサイクルから請求間隔（billing_interval）を補う',
+                subscription: (sub) => sub.billing_interval
+                    ? sub
+                    : { ...sub, billing_interval: calculator.getBillingInterval(sub) }
+            },
+            {
+                version: 3,
+                description: '価格履歴のないサブスクに登録時の価格を記録',
+                subscription: (sub) => sub.price_history && sub.price_history.length > 0
+                    ? sub
+                    : {
+                        ...sub,
+                        price_history: calculator.getPriceHistory(sub).map(entry => ({ ...entry, recorded_at: sub.created_at || null }))
+                    }
+            },
+            {
+                version: 4,
+                description: 'トライアル・プロモ料金・解約の項目を補う',
+                subscription: (sub) => ({
+                    is_trial: false,
+                    trial_end_date: null,
+                    price_schedule: [],
+                    cancel_date: null,
+                    cancel_reason: null,
+                    cancelled_at: null,
+                    ...sub
+                })
+            },
+            {
+                version: 5,
+                description: 'プリセットにない支払いサイクル（旧データの「その他」など）を請求間隔に合うプリセットかカスタムに、未設定・一覧にないカテゴリを「その他」に移行',
+                subscription: (sub) => {
+                    const migrated = { ...sub, category: sub.category || 'その他' };
+                    // 一覧にない独自のカテゴリは「その他」にし、元の名前はメモに残す
+                    if (!subscriptionSchema.CATEGORIES.includes(migrated.category)) {
+                        const note = `旧カテゴリ: ${migrated.category}`;
+                        migrated.memo = sub.memo ? `${sub.memo}\n${note}` : note;
+                        migrated.category = 'その他';
+                    }
+                    if (calculator.BILLING_CYCLES[sub.billing_cycle] || sub.billing_cycle === calculator.CUSTOM_CYCLE) {
+                        return migrated;
+                    }
+                    const interval = calculator.getBillingInterval(sub);
+                    const preset = Object.keys(calculator.BILLING_CYCLES).find(cycle =>
+                        calculator.BILLING_CYCLES[cycle].unit === interval.unit && calculator.BILLING_CYCLES[cycle].count === interval.count
+                    );
+                    return { ...migrated, billing_cycle: preset || calculator.CUSTOM_CYCLE, billing_interval: interval };
+                }
+            }
+        ];
+
+        this.CURRENT_VERSION = this.MIGRATIONS[this.MIGRATIONS.length - 1].version;
+    }
+
+    /**
+     * データのスキーマバージョンを取得（記録のない旧データは 0）
+     * @param {Object} record - サブスクリプションまたは設定
+     * @returns {number}
+     */
+    getVersion(record) {
+        return record.schema_version || 0;
+    }
+
+    /**
+     * 移行が必要かどうか
+     * @param {Object} record - サブスクリプションまたは設定
+     * @returns {boolean}
+     */
+    needsMigration(record) {
+        return this.getVersion(record) < this.CURRENT_VERSION;
+    }
+
+    /**
+     * サブスクリプションを現在の形式に移行
+     * @param {Object} sub - 保存されていたサブスクリプション
+     * @returns {Object} 移行後のサブスクリプション
+     */
+    migrateSubscription(sub) {
+        return this.migrate(sub, 'subscription');
+    }
+
+    /**
+     * 設定を現在の形式に移行
+     * @param {Object} settings - 保存されていた設定
+     * @returns {Object} 移行後の設定
+     */
+    migrateSettings(settings) {
+        return this.migrate(settings, 'settings');
+    }
+
+    /**
+     * 記録されたバージョンより新しい移行を順に適用し、バージョンを記録
+     * 新しいバージョンのアプリで保存されたデータはそのまま返す
+     * @param {Object} record - サブスクリプションまたは設定
+     * @param {string} type - 'subscription' / 'settings'
+     * @returns {Object} 移行後のデータ
+     */
+    migrate(record, type) {
+        const version = this.getVersion(record);
+        if (version >= this.CURRENT_VERSION) {
+            return record;
+        }
+
+        const migrated = this.MIGRATIONS
+            .filter(migration => migration.version > version && migration[type])
+            .reduce((current, migration) => migration[type](current), { ...record });
+        return { ...migrated, schema_version: this.CURRENT_VERSION };
+    }
+}
+
+// グローバルインスタンスを作成
+const schemaMigrator = new SchemaMigrator();
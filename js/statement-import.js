@@ -0,0 +1,432 @@
+/**
+ * SubscMan - 明細の取り込みモジュール
+ * クレジットカード・銀行の明細CSVを読み込み、同じ利用先への定期的な支払いからサブスクの候補を作る
+ */
+
+class StatementImporter {
+    constructor() {
+        // 対応するカード明細の形式（見出し行の列名、または見出し行のない形式の列番号）
+        this.FORMATS = {
+            rakuten: {
+                label: '楽天カード',
+                headers: { date: ['利用日'], merchant: ['利用店名・商品名'], amount: ['利用金額'] }
+            },
+            jcb: {
+                label: 'JCBカード（MyJCB）',
+                headers: { date: ['ご利用日'], merchant: ['ご利用先など'], amount: ['ご利用金額(円)', 'ご利用金額（円）', 'ご利用金額'] }
+            },
+            smbc: {
+                label: '三井住友カード（Vpass）',
+                // 1行目はカード名義などの情報で、2行目から「利用日, 利用店名, 利用金額, ...」が続く
+                columns: { date: 0, merchant: 1, amount: 2 }
+            }
+        };
+
+        // 形式を指定しない場合に列を探す見出しの候補（銀行の入出金明細なども含む）
+        this.GENERIC_HEADERS = {
+            date: ['利用日', 'ご利用日', '利用年月日', 'ご利用年月日', '取引日', 'お取引日', '日付', '年月日', 'date'],
+            merchant: ['利用店名・商品名', 'ご利用先など', '利用店名', 'ご利用店名', '利用先', 'ご利用先', '摘要', 'お取引内容', '取引内容', '内容', 'description', 'merchant'],
+            amount: ['利用金額', 'ご利用金額', 'ご利用金額(円)', '支払金額', 'お支払金額', '出金金額', 'お引出し', '引出額', '金額', 'amount'],
+            currency: ['通貨', '現地通貨', 'currency']
+        };
+
+        // 見出し行を探す範囲（先頭からの行数）
+        this.HEADER_SEARCH_ROWS = 10;
+
+        // 定期的な支払いとみなす請求間隔（日数と許容する前後のずれ）
+        this.RECURRING_CYCLES = [
+            { billing_cycle: '週払い', days: 7, tolerance: 1 },
+            { billing_cycle: '月払い', days: 30.4, tolerance: 4 },
+            { billing_cycle: '四半期払い', days: 91.3, tolerance: 10 },
+            { billing_cycle: '半年払い', days: 182.6, tolerance: 15 },
+            { billing_cycle: '年払い', days: 365.2, tolerance: 20 }
+        ];
+
+        // 同じサブスクの請求とみなす金額の差（直近の金額に対する割合。為替や値上げによる変動を許容）
+        this.AMOUNT_TOLERANCE = 0.15;
+
+        // 候補にする最小の請求回数
+        this.MIN_OCCURRENCES = 2;
+
+        // 利用先名からカテゴリを推定するキーワード（正規化後の利用先名に含まれるか）
+        this.CATEGORY_KEYWORDS = {
+            'AI': ['OPENAI', 'CHATGPT', 'ANTHROPIC', 'CLAUDE', 'MIDJOURNEY', 'PERPLEXITY', 'COPILOT'],
+            'エンタメ': ['NETFLIX', 'SPOTIFY', 'AMAZON PRIME', 'AMAZONPRIME', 'PRIME VIDEO', 'HULU', 'DISNEY', 'U-NEXT', 'ABEMA', 'YOUTUBE', 'APPLE MUSIC', 'DAZN', 'NINTENDO', 'PLAYSTATION', 'XBOX', 'ニコニコ'],
+            '仕事': ['ADOBE', 'MICROSOFT', 'GOOGLE WORKSPACE', 'SLACK', 'NOTION', 'ZOOM', 'DROPBOX', 'GITHUB', 'FIGMA', '1PASSWORD', 'EVERNOTE', 'CANVA'],
+            '教育': ['UDEMY', 'DUOLINGO', 'COURSERA', 'SCHOO', 'KINDLE UNLIMITED', 'AUDIBLE', 'スタディサプリ'],
+            '生活': ['ICLOUD', 'GOOGLE ONE', 'GOOGLE STORAGE', 'NHK', 'DOCOMO', 'SOFTBANK', 'KDDI', '楽天モバイル', '電気', 'ガス', '水道', 'ジム']
+        };
+    }
+
+    // ===================================
+    // CSVの読み込み
+    // ===================================
+
+    /**
+     * ファイルの内容を文字列に変換
+     * 国内のカード会社の明細は Shift_JIS が多いため、UTF-8 として読めない場合は Shift_JIS として読む
+     * @param {ArrayBuffer} buffer - ファイルの内容
+     * @returns {string} 文字列（BOMは除く）
+     */
+    decode(buffer) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (error) {
+            return new TextDecoder('shift_jis').decode(buffer);
+        }
+    }
+
+    /**
+     * CSVを行・列の配列に変換（ダブルクォートで囲まれた値の区切り文字・改行に対応）
+     * @param {string} text - CSVの内容
+     * @returns {Array} 行ごとの値の配列（空行は除く）
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+
+        const source = text.replace(/^\uFEFF/, '');
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        row.push(value);
+        rows.push(row);
+
+        return rows
+            .map(cells => cells.map(cell => cell.trim()))
+            .filter(cells => cells.some(cell => cell !== ''));
+    }
+
+    // ===================================
+    // 列の対応付け
+    // ===================================
+
+    /**
+     * 明細の形式から、日付・利用先・金額の列を特定
+     * @param {Array} rows - parseCsv の結果
+     * @param {string} format - FORMATS のキー、または 'auto'（自動判別）
+     * @returns {Object|null} { format, headerIndex, date, merchant, amount, currency }（見つからない場合は null）
+     *   headerIndex は見出し行の位置（見出し行のない形式は -1）、currency は通貨の列（ない場合は -1）
+     */
+    detectColumns(rows, format = 'auto') {
+        if (format !== 'auto') {
+            const preset = this.FORMATS[format];
+            return preset.columns
+                ? this.findHeaderlessColumns(rows, preset.columns, format)
+                : this.findHeaderColumns(rows, preset.headers, format);
+        }
+
+        for (const [key, preset] of Object.entries(this.FORMATS)) {
+            if (preset.headers) {
+                const mapping = this.findHeaderColumns(rows, preset.headers, key);
+                if (mapping) {
+                    return mapping;
+                }
+            }
+        }
+        return this.findHeaderColumns(rows, this.GENERIC_HEADERS, 'generic')
+            || this.findHeaderlessColumns(rows, this.FORMATS.smbc.columns, 'smbc');
+    }
+
+    /**
+     * 見出し行から列を特定
+     * @param {Array} rows - parseCsv の結果
+     * @param {Object} headers - { date, merchant, amount, currency? } それぞれの列名の候補
+     * @param {string} format - 結果に記録する形式
+     * @returns {Object|null} 列の対応（見出し行が見つからない場合は null）
+     */
+    findHeaderColumns(rows, headers, format) {
+        const normalize = (text) => text.normalize('NFKC').replace(/\s/g, '').toLowerCase();
+
+        for (let index = 0; index < Math.min(rows.length, this.HEADER_SEARCH_ROWS); index++) {
+            const cells = rows[index].map(normalize);
+            const find = (candidates = []) => {
+                // 候補の順に、空白・全角半角の違いを除いて列名が一致する列を探す
+                for (const candidate of candidates.map(normalize)) {
+                    const column = cells.indexOf(candidate);
+                    if (column !== -1) {
+                        return column;
+                    }
+                }
+                return -1;
+            };
+
+            const mapping = {
+                format,
+                headerIndex: index,
+                date: find(headers.date),
+                merchant: find(headers.merchant),
+                amount: find(headers.amount),
+                currency: find(headers.currency)
+            };
+            if (mapping.date !== -1 && mapping.merchant !== -1 && mapping.amount !== -1) {
+                return mapping;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 見出し行のない形式で、指定の列に日付と金額が入っているかを確かめる
+     * @param {Array} rows - parseCsv の結果
+     * @param {Object} columns - { date, merchant, amount } 列番号
+     * @param {string} format - 結果に記録する形式
+     * @returns {Object|null} 列の対応（日付・金額の入った行がない場合は null）
+     */
+    findHeaderlessColumns(rows, columns, format) {
+        const hasTransaction = rows.some(cells =>
+            this.parseDate(cells[columns.date]) && this.parseAmount(cells[columns.amount]) !== null
+        );
+        return hasTransaction ? { format, headerIndex: -1, currency: -1, ...columns } : null;
+    }
+
+    /**
+     * 列を手動で選ぶための選択肢を取得
+     * @param {Array} rows - parseCsv の結果
+     * @returns {Array} [{ index, label }]（見出しがない場合は「列1」と先頭の値）
+     */
+    getColumnOptions(rows) {
+        const columnCount = Math.max(0, ...rows.slice(0, this.HEADER_SEARCH_ROWS).map(cells => cells.length));
+        const sample = rows.find(cells => cells.length === columnCount) || [];
+
+        return Array.from({ length: columnCount }, (_, index) => ({
+            index,
+            label: `列${index + 1}` + (sample[index] ? `（${sample[index].slice(0, 20)}）` : '')
+        }));
+    }
+
+    // ===================================
+    // 取引の抽出
+    // ===================================
+
+    /**
+     * 明細の行から支払いの取引を取り出す
+     * 日付・金額が読めない行（合計行など）と、返金などの0円以下の取引は除く
+     * @param {Array} rows - parseCsv の結果
+     * @param {Object} mapping - detectColumns の結果
+     * @param {string} defaultCurrency - 通貨の列がない場合の通貨
+     * @returns {Array} [{ date, merchant, amount, currency }]（date は 'YYYY-MM-DD'）
+     */
+    extractTransactions(rows, mapping, defaultCurrency = 'JPY') {
+        return rows.slice(mapping.headerIndex + 1)
+            .map(cells => {
+                const currency = mapping.currency !== -1 ? (cells[mapping.currency] || '').toUpperCase() : '';
+                return {
+                    date: this.parseDate(cells[mapping.date]),
+                    merchant: (cells[mapping.merchant] || '').replace(/\s+/g, ' '),
+                    amount: this.parseAmount(cells[mapping.amount]),
+                    currency: currencyRegistry.has(currency) ? currency : defaultCurrency
+                };
+            })
+            .filter(tx => tx.date && tx.merchant && tx.amount !== null && tx.amount > 0);
+    }
+
+    /**
+     * 明細の日付を 'YYYY-MM-DD' に変換
+     * 'YYYY/MM/DD'・'YYYY-MM-DD'・'YYYY年M月D日'・'YY/MM/DD'・'YYYYMMDD' に対応
+     * @param {string} text - 日付の文字列
+     * @returns {string|null} 日付（読めない場合は null）
+     */
+    parseDate(text) {
+        if (!text) {
+            return null;
+        }
+        const value = text.normalize('NFKC').trim();
+        const match = value.match(/^(\d{2}|\d{4})[/\-.年](\d{1,2})[/\-.月](\d{1,2})/) || value.match(/^(\d{4})(\d{2})(\d{2})$/);
+        if (!match) {
+            return null;
+        }
+
+        const year = match[1].length === 2 ? 2000 + Number(match[1]) : Number(match[1]);
+        const date = new Date(year, Number(match[2]) - 1, Number(match[3]));
+        if (date.getMonth() !== Number(match[2]) - 1) {
+            return null;
+        }
+        return calculator.toDateString(date);
+    }
+
+    /**
+     * 明細の金額を数値に変換（通貨記号・桁区切り・「円」を除く。△ は負の数）
+     * @param {string} text - 金額の文字列
+     * @returns {number|null} 金額（読めない場合は null）
+     */
+    parseAmount(text) {
+        if (!text) {
+            return null;
+        }
+        const value = text.normalize('NFKC').replace(/[¥$€£,円\s]/g, '').replace(/^△/, '-');
+        if (!/^-?\d+(\.\d+)?$/.test(value)) {
+            return null;
+        }
+        return parseFloat(value);
+    }
+
+    // ===================================
+    // 定期的な支払いの検出
+    // ===================================
+
+    /**
+     * 利用先名を照合用に正規化
+     * 決済ごとに変わる末尾の注文番号（「*AB12CD」や4桁以上の数字）を除く
+     * @param {string} name - 利用先名
+     * @returns {string} 正規化した名前
+     */
+    normalizeMerchant(name) {
+        return name.normalize('NFKC').toUpperCase()
+            .replace(/[*＊#].*$/, '')
+            .replace(/\d{4,}/g, '')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * 取引から定期的な支払いを検出し、サブスクの候補を作る
+     * 同じ利用先・通貨で金額がほぼ同じ請求が、決まった間隔で MIN_OCCURRENCES 回以上あるものを候補にする
+     * @param {Array} transactions - extractTransactions の結果
+     * @param {Array} subscriptions - 登録済みのサブスク（同じものを登録済みとして印を付ける）
+     * @param {Date} today - 基準日（次回請求日をこれ以降に進める）
+     * @returns {Array} 候補 [{ service_name, amount_original, currency, billing_cycle, billing_interval, category,
+     *   start_date, next_billing_date, occurrences, last_date, lapsed, registered }]（直近の請求が新しい順）
+     */
+    detectRecurring(transactions, subscriptions = [], today = new Date()) {
+        const groups = new Map();
+        transactions.forEach(tx => {
+            const key = this.normalizeMerchant(tx.merchant) + '|' + tx.currency;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(tx);
+        });
+
+        const drafts = [];
+        groups.forEach(group => {
+            const sorted = [...group].sort((a, b) => a.date.localeCompare(b.date));
+            const latest = sorted[sorted.length - 1];
+
+            // 直近の金額とかけ離れた請求（同じ店での単発の買い物など）は除く
+            const charges = sorted.filter(tx => Math.abs(tx.amount - latest.amount) <= latest.amount * this.AMOUNT_TOLERANCE);
+            const cycle = this.detectCycle(charges.map(tx => tx.date));
+            if (!cycle) {
+                return;
+            }
+
+            const interval = calculator.getBillingInterval({ billing_cycle: cycle.billing_cycle });
+            const expected = calculator.addInterval(calculator.parseDate(latest.date), interval, 1);
+            const draft = {
+                service_name: latest.merchant.replace(/\s*\d{4,}/g, '').trim() || latest.merchant,
+                amount_original: latest.amount,
+                currency: latest.currency,
+                billing_cycle: cycle.billing_cycle,
+                billing_interval: interval,
+                category: this.guessCategory(latest.merchant),
+                start_date: charges[0].date,
+                next_billing_date: this.getNextBillingDate(latest.date, interval, today),
+                occurrences: charges.length,
+                last_date: latest.date,
+                // 次の請求が来るはずの日を過ぎても請求がない（解約済みの可能性がある）
+                lapsed: (today - expected) / (24 * 60 * 60 * 1000) > cycle.tolerance
+            };
+            draft.registered = this.isRegistered(draft, subscriptions);
+            drafts.push(draft);
+        });
+
+        return drafts.sort((a, b) => b.last_date.localeCompare(a.last_date));
+    }
+
+    /**
+     * 請求日の並びから請求間隔を判定
+     * 連続する請求の間隔がすべて同じ周期（許容範囲内）に収まる場合のみ定期的な支払いとみなす
+     * @param {Array} dates - 請求日（古い順、'YYYY-MM-DD'）
+     * @returns {Object|null} RECURRING_CYCLES の要素（定期的でない場合は null）
+     */
+    detectCycle(dates) {
+        const unique = [...new Set(dates)];
+        if (unique.length < this.MIN_OCCURRENCES) {
+            return null;
+        }
+
+        const gaps = unique.slice(1).map((date, index) =>
+            Math.round((calculator.parseDate(date) - calculator.parseDate(unique[index])) / (24 * 60 * 60 * 1000))
+        );
+        return this.RECURRING_CYCLES.find(cycle =>
+            gaps.every(gap => Math.abs(gap - cycle.days) <= cycle.tolerance)
+        ) || null;
+    }
+
+    /**
+     * 最後の請求日から、基準日以降の最初の請求日を求める
+     * @param {string} lastDate - 最後の請求日
+     * @param {Object} interval - 請求間隔 { unit, count }
+     * @param {Date} today - 基準日
+     * @returns {string} 次回請求日
+     */
+    getNextBillingDate(lastDate, interval, today) {
+        const anchor = calculator.parseDate(lastDate);
+        const todayStr = calculator.toDateString(today);
+
+        let times = 1;
+        let next = calculator.addInterval(anchor, interval, times);
+        while (calculator.toDateString(next) < todayStr) {
+            times++;
+            next = calculator.addInterval(anchor, interval, times);
+        }
+        return calculator.toDateString(next);
+    }
+
+    /**
+     * 利用先名からカテゴリを推定
+     * @param {string} merchant - 利用先名
+     * @returns {string} カテゴリ（該当しない場合は「その他」）
+     */
+    guessCategory(merchant) {
+        const name = merchant.normalize('NFKC').toUpperCase();
+        const entry = Object.entries(this.CATEGORY_KEYWORDS)
+            .find(([, keywords]) => keywords.some(keyword => name.includes(keyword)));
+        return entry ? entry[0] : 'その他';
+    }
+
+    /**
+     * 候補と同じサブスクが登録済みかどうか（通貨が同じで、サービス名の一方が他方を含む）
+     * @param {Object} draft - 候補
+     * @param {Array} subscriptions - 登録済みのサブスク
+     * @returns {boolean}
+     */
+    isRegistered(draft, subscriptions) {
+        const name = this.normalizeMerchant(draft.service_name);
+        return subscriptions.some(sub => {
+            const registered = this.normalizeMerchant(sub.service_name || '');
+            return sub.currency === draft.currency && registered !== ''
+                && (name.includes(registered) || registered.includes(name));
+        });
+    }
+}
+
+// グローバルインスタンスを作成
+const statementImporter = new StatementImporter();
@@ -0,0 +1,442 @@
+/**
+ * SubscMan - ストレージアダプターモジュール
+ * 保存先ごとの読み書きを共通の形にまとめ、SubscManStorage から保存先を意識せずに使えるようにする
+ *
+ * アダプターは次のメソッドを持つ
+ *   getAll(collection)       コレクションの全文書を取得 → Promise<[{ id, ... }]>
+ *   write(operations)        操作 [{ collection, id, type: 'set' | 'update' | 'delete', data }] を順に適用 → Promise
+ *   getSettings()            設定を取得（未保存なら null） → Promise<Object|null>
+ *   saveSettings(settings)   設定を丸ごと保存 → Promise
+ *   createId()               新しい文書のIDを採番
+ *   subscribe(callback)      他の端末・タブでの変更を監視し、解除する関数を返す
+ * コレクションは 'subscriptions' / 'trash' / 'backups'（形式の移行前のデータ）
+ */
+
+// ===================================
+// 共通
+// ===================================
+
+class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+        this.COLLECTIONS = ['subscriptions', 'trash', 'backups'];
+    }
+
+    createId() {
+        return 'sub_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * 文書の配列に操作を適用（配列でまとめて保存するアダプター用）
+     * @param {Array} docs - 文書 [{ id, ... }]
+     * @param {Array} operations - このコレクションへの操作
+     * @returns {Array} 操作を適用した新しい配列
+     */
+    applyOperations(docs, operations) {
+        const result = [...docs];
+        operations.forEach(op => {
+            const index = result.findIndex(doc => doc.id === op.id);
+            if (op.type === 'delete') {
+                if (index !== -1) {
+                    result.splice(index, 1);
+                }
+            } else if (op.type === 'set') {
+                const doc = { id: op.id, ...op.data };
+                if (index === -1) {
+                    result.push(doc);
+                } else {
+                    result[index] = doc;
+                }
+            } else if (op.type === 'update' && index !== -1) {
+                result[index] = { ...result[index], ...op.data };
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 操作の対象になるコレクションを重複なく取得
+     * @param {Array} operations - 操作
+     * @returns {Array} コレクション名
+     */
+    getCollections(operations) {
+        return [...new Set(operations.map(op => op.collection))];
+    }
+
+    /**
+     * 保存した値を呼び出し元の変更から切り離すための複製
+     */
+    clone(value) {
+        return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+}
+
+// ===================================
+// メモリ（テスト用）
+// ===================================
+
+/**
+ * データをメモリ上だけに保持するアダプター
+ * ブラウザや Firebase のない環境で SubscManStorage の処理を試すために使う
+ */
+class MemoryAdapter extends StorageAdapter {
+    /**
+     * @param {Object} initial - 初期データ { subscriptions, trash, backups, settings }
+     */
+    constructor(initial = {}) {
+        super('memory');
+        this.collections = {};
+        this.COLLECTIONS.forEach(name => {
+            this.collections[name] = this.clone(initial[name] || []);
+        });
+        this.settings = this.clone(initial.settings);
+    }
+
+    async getAll(collection) {
+        return this.clone(this.collections[collection] || []);
+    }
+
+    async write(operations) {
+        this.getCollections(operations).forEach(collection => {
+            const ops = this.clone(operations.filter(op => op.collection === collection));
+            this.collections[collection] = this.applyOperations(this.collections[collection] || [], ops);
+        });
+    }
+
+    async getSettings() {
+        return this.clone(this.settings);
+    }
+
+    async saveSettings(settings) {
+        this.settings = this.clone(settings);
+    }
+
+    subscribe() {
+        return () => {};
+    }
+}
+
+// ===================================
+// LocalStorage
+// ===================================
+
+/**
+ * LocalStorage にコレクションごとの配列として保存するアダプター
+ * IndexedDB が使えない環境での保存先と、IndexedDB への移行元として使う
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    constructor() {
+        super('localStorage');
+        this.KEYS = {
+            subscriptions: 'subscman_subscriptions',
+            trash: 'subscman_trash',
+            backups: 'subscman_backups'
+        };
+        this.SETTINGS_KEY = 'subscman_settings';
+    }
+
+    async getAll(collection) {
+        return this.read(collection);
+    }
+
+    /**
+     * 読み込みから書き込みまでを await を挟まず同期的に行う
+     * 並行して呼ばれても、他の書き込みの途中の内容を読んで上書きすることがない
+     */
+    async write(operations) {
+        this.getCollections(operations).forEach(collection => {
+            const next = this.applyOperations(this.read(collection), operations.filter(op => op.collection === collection));
+            localStorage.setItem(this.KEYS[collection], JSON.stringify(next));
+        });
+    }
+
+    /**
+     * コレクションの全文書を同期的に読み込む
+     * @param {string} collection - コレクション名
+     * @returns {Array} 文書 [{ id, ... }]
+     */
+    read(collection) {
+        const data = localStorage.getItem(this.KEYS[collection]);
+        return data ? JSON.parse(data) : [];
+    }
+
+    async getSettings() {
+        const data = localStorage.getItem(this.SETTINGS_KEY);
+        return data ? JSON.parse(data) : null;
+    }
+
+    async saveSettings(settings) {
+        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
+    }
+
+    /**
+     * 保存しているデータがあるかどうか
+     * @returns {boolean}
+     */
+    hasData() {
+        return [...Object.values(this.KEYS), this.SETTINGS_KEY].some(key => localStorage.getItem(key) !== null);
+    }
+
+    /**
+     * 保存しているデータをすべて削除（IndexedDB への移行後に使う）
+     */
+    clear() {
+        [...Object.values(this.KEYS), this.SETTINGS_KEY].forEach(key => localStorage.removeItem(key));
+    }
+
+    /**
+     * 他のタブでの変更を storage イベントで検知
+     */
+    subscribe(callback) {
+        const collections = {
+            ...Object.fromEntries(Object.entries(this.KEYS).map(([collection, key]) => [key, collection])),
+            [this.SETTINGS_KEY]: 'settings'
+        };
+        const onStorage = (event) => {
+            if (collections[event.key]) {
+                callback({ source: 'local', collection: collections[event.key] });
+            }
+        };
+        window.addEventListener('storage', onStorage);
+        return () => window.removeEventListener('storage', onStorage);
+    }
+}
+
+// ===================================
+// IndexedDB
+// ===================================
+
+/**
+ * IndexedDB にコレクションごとのオブジェクトストアとして保存するアダプター
+ * 容量の制限が LocalStorage より緩く、読み書きが画面の処理を止めない
+ */
+class IndexedDBAdapter extends StorageAdapter {
+    constructor() {
+        super('indexedDB');
+        this.DB_NAME = 'subscman';
+        this.DB_VERSION = 1;
+        // 設定など、コレクションに属さない値を key ごとに保存するストア
+        this.META_STORE = 'meta';
+        // 他のタブに変更を知らせるチャンネル
+        this.CHANNEL_NAME = 'subscman_changes';
+
+        this.dbPromise = null;
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(this.CHANNEL_NAME) : null;
+    }
+
+    /**
+     * データベースを開く（初回はストアを作成）
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    this.COLLECTIONS.forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, { keyPath: 'id' });
+                        }
+                    });
+                    if (!db.objectStoreNames.contains(this.META_STORE)) {
+                        db.createObjectStore(this.META_STORE, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * IDBRequest の結果を Promise で受け取る
+     */
+    toPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * トランザクションの完了を Promise で受け取る
+     */
+    complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async getAll(collection) {
+        const db = await this.open();
+        return this.toPromise(db.transaction(collection).objectStore(collection).getAll());
+    }
+
+    /**
+     * 操作を1つのトランザクションで適用（途中で失敗した場合はすべて取り消される）
+     */
+    async write(operations) {
+        const db = await this.open();
+        const collections = this.getCollections(operations);
+        const transaction = db.transaction(collections, 'readwrite');
+
+        operations.forEach(op => {
+            const store = transaction.objectStore(op.collection);
+            if (op.type === 'delete') {
+                store.delete(op.id);
+            } else if (op.type === 'set') {
+                store.put({ id: op.id, ...op.data });
+            } else if (op.type === 'update') {
+                const request = store.get(op.id);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        store.put({ ...request.result, ...op.data });
+                    }
+                };
+            }
+        });
+
+        await this.complete(transaction);
+        this.notify(collections);
+    }
+
+    async getSettings() {
+        const db = await this.open();
+        const entry = await this.toPromise(db.transaction(this.META_STORE).objectStore(this.META_STORE).get('settings'));
+        return entry ? entry.value : null;
+    }
+
+    async saveSettings(settings) {
+        const db = await this.open();
+        const transaction = db.transaction(this.META_STORE, 'readwrite');
+        transaction.objectStore(this.META_STORE).put({ key: 'settings', value: settings });
+        await this.complete(transaction);
+        this.notify(['settings']);
+    }
+
+    /**
+     * 他のタブに変更したコレクションを知らせる
+     * @param {Array} collections - コレクション名
+     */
+    notify(collections) {
+        if (this.channel) {
+            collections.forEach(collection => this.channel.postMessage({ collection }));
+        }
+    }
+
+    /**
+     * 他のタブでの変更を BroadcastChannel で検知
+     */
+    subscribe(callback) {
+        if (!this.channel) {
+            return () => {};
+        }
+        const onMessage = (event) => callback({ source: 'local', collection: event.data.collection });
+        this.channel.addEventListener('message', onMessage);
+        return () => this.channel.removeEventListener('message', onMessage);
+    }
+}
+
+// ===================================
+// Firestore
+// ===================================
+
+/**
+ * ログイン中のユーザーの Firestore に保存するアダプター
+ * 書き込みは同期キューを通し、送信できなかった操作は未送信として保持する
+ * 設定はユーザー文書の settings に保存する
+ */
+class FirestoreAdapter extends StorageAdapter {
+    constructor() {
+        super('firestore');
+    }
+
+    createId() {
+        return storage.getUserCollection('subscriptions').doc().id;
+    }
+
+    /**
+     * コレクションの全文書を取得し、未送信の変更を重ねる
+     * 取得できない場合は最後に取得した内容を使う
+     */
+    async getAll(collection) {
+        let docs;
+        try {
+            const snapshot = await storage.getUserCollection(collection).get();
+            docs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            syncQueue.saveCache(collection, docs);
+        } catch (error) {
+            console.error(`Firestore get ${collection} error:`, error);
+            docs = syncQueue.loadCache(collection);
+        }
+        return syncQueue.applyToDocs(collection, docs);
+    }
+
+    async write(operations) {
+        await syncQueue.write(operations);
+    }
+
+    /**
+     * 設定を取得し、未送信の変更を重ねる（取得できない場合は null）
+     */
+    async getSettings() {
+        try {
+            const doc = await db.collection('users').doc(storage.getUserId()).get();
+            return syncQueue.applyToSettings(doc.exists ? doc.data().settings || null : null);
+        } catch (error) {
+            console.error('Firestore getSettings error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 設定を保存（ユーザー文書には設定だけを持つため、削除した項目が残らないよう文書ごと置き換える）
+     */
+    async saveSettings(settings) {
+        await syncQueue.write([{ collection: 'user', type: 'set', data: { settings } }]);
+    }
+
+    /**
+     * 他の端末での変更を onSnapshot で検知
+     * 未送信の操作は端末内にしかないため、他のタブでの追加は storage イベントで検知する
+     * この画面自身の書き込みによる変更は通知しない
+     */
+    subscribe(callback) {
+        const unsubscribers = [];
+
+        const watch = (collection, ref) => {
+            let initial = true;
+            unsubscribers.push(ref.onSnapshot(snapshot => {
+                // 初回は現在の内容の通知、保留中の書き込みはこの画面自身の変更のため通知しない
+                if (initial || snapshot.metadata.hasPendingWrites) {
+                    initial = false;
+                    return;
+                }
+                if (snapshot.docs) {
+                    syncQueue.saveCache(collection, snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+                }
+                callback({ source: 'cloud', collection });
+            }, error => {
+                console.error(`Firestore ${collection} listener error:`, error);
+            }));
+        };
+
+        watch('subscriptions', storage.getUserCollection('subscriptions'));
+        watch('trash', storage.getUserCollection('trash'));
+        watch('settings', db.collection('users').doc(storage.getUserId()));
+
+        const onStorage = (event) => {
+            if (event.key === syncQueue.PENDING_KEY) {
+                callback({ source: 'local', collection: 'pending' });
+            }
+        };
+        window.addEventListener('storage', onStorage);
+        unsubscribers.push(() => window.removeEventListener('storage', onStorage));
+
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+}
@@ -1,17 +1,45 @@
 /**
- * SubscMan - Firebase Firestore データ管理モジュール
- * Firestore を使ったデータ永続化（クラウド同期対応）
- * ログインしていない場合はLocalStorageにフォールバック
+ * SubscMan - データ管理モジュール
+ * ログイン中は Firestore（クラウド同期対応）、ログインしていない場合は端末内（IndexedDB）に保存する
+ * 保存先ごとの読み書きはストレージアダプター（storage-adapters.js）が担う
  */
 
 class SubscManStorage {
-    constructor() {
-        this.SUBSCRIPTIONS_KEY = 'subscman_subscriptions';
-        this.SETTINGS_KEY = 'subscman_settings';
+    /**
+     * @param {Object|null} deviceAdapter - 端末内の保存先（省略時は IndexedDB、使えない環境では LocalStorage）
+     */
+    constructor(deviceAdapter = null) {
         this.API_KEY_KEY = 'subscman_api_key';
 
-        // LocalStorage初期化
-        this.initializeIfEmpty();
+        // 為替レート履歴の保持件数
+        this.RATE_HISTORY_LIMIT = 365;
+
+        // ゴミ箱に保管する日数（過ぎたものは完全に削除）
+        this.TRASH_RETENTION_DAYS = 30;
+
+        // バックアップファイルの識別子と形式のバージョン
+        this.BACKUP_FORMAT = 'subscman-backup';
+        this.BACKUP_VERSION = 1;
+
+        // 一度にまとめて書き込む操作の数（Firestore のバッチの上限は500件）
+        this.WRITE_BATCH_SIZE = 400;
+
+        // ログイン時の照合で、同じサブスクの内容が異なるかを比べる項目
+        this.MERGE_COMPARE_FIELDS = [
+            'amount_original', 'category', 'start_date', 'next_billing_date',
+            'is_trial', 'trial_end_date', 'price_schedule', 'fx_fee_percent',
+            'tax_excluded', 'tax_rate', 'is_active', 'cancel_date', 'memo'
+        ];
+
+        this.deviceAdapter = deviceAdapter
+            || (typeof indexedDB !== 'undefined' ? new IndexedDBAdapter() : new LocalStorageAdapter());
+        this.cloudAdapter = new FirestoreAdapter();
+
+        // クラウドから最後に読み込んだ、内容が subscriptionSchema に合わないサブスク [{ sub, errors }]
+        this.quarantined = [];
+
+        // 初期化（LocalStorage からの移行・形式の移行）が終わるまで読み書きを待たせる
+        this.ready = this.initializeIfEmpty();
     }
 
     // ===================================
@@ -48,46 +76,84 @@ class SubscManStorage {
         return db.collection('users').doc(userId).collection(collection);
     }
 
+    /**
+     * 現在の保存先のアダプターを取得（初期化が終わるまで待つ）
+     * @returns {Promise<Object>} ログイン中は Firestore、それ以外は端末内のアダプター
+     */
+    async getAdapter() {
+        await this.ready;
+        return this.useFirestore() ? this.cloudAdapter : this.deviceAdapter;
+    }
+
+    /**
+     * コレクションの全文書を現在の形式に移行して取得
+     * クラウドのサブスクは検証し、内容に誤りのあるものは除いて quarantined に保持する
+     * @param {Object} adapter - ストレージアダプター
+     * @param {string} collection - 'subscriptions' / 'trash'
+     * @param {Object} options - { raw: true } の場合は内容に誤りのあるものも除かない
+     * @returns {Promise<Array>} 文書の配列 [{ id, ... }]
+     */
+    async getDocs(adapter, collection, { raw = false } = {}) {
+        const docs = await this.migrateDocs(adapter, collection, await adapter.getAll(collection));
+        if (raw || adapter !== this.cloudAdapter || collection !== 'subscriptions') {
+            return docs;
+        }
+        return this.quarantineInvalid(docs);
+    }
+
+    /**
+     * クラウドから読み込んだサブスクを検証し、内容に誤りのあるものを除く
+     * 他の端末（以前のバージョンなど）が書き込んだ不正な値が集計に使われないよう、除いたものは修正・削除できるよう保持する
+     * @param {Array} docs - 移行済みのサブスク
+     * @returns {Array} 内容に誤りのないサブスク
+     */
+    quarantineInvalid(docs) {
+        const valid = [];
+        const quarantined = [];
+        docs.forEach(doc => {
+            const errors = subscriptionSchema.validate(doc);
+            if (errors.length > 0) {
+                quarantined.push({ sub: doc, errors });
+            } else {
+                valid.push(doc);
+            }
+        });
+        this.quarantined = quarantined;
+        return valid;
+    }
+
+    /**
+     * クラウドから読み込んだ、内容に誤りがあり集計から除いたサブスクを取得
+     * @returns {Array} [{ sub, errors }]（未ログインの場合は空配列）
+     */
+    getQuarantinedSubscriptions() {
+        return this.useFirestore() ? this.quarantined : [];
+    }
+
     // ===================================
     // Subscriptions コレクション
     // ===================================
 
     /**
      * 全サブスクリプションを取得
-     * @param {boolean} activeOnly - true の場合、is_active = true のみ取得
+     * @param {boolean} activeOnly - true の場合、is_active = true かつ解約による利用終了日を過ぎていないもののみ取得
      * @returns {Promise<Array>} サブスクリプション配列
      */
     async getSubscriptions(activeOnly = true) {
-        if (this.useFirestore()) {
-            try {
-                const collection = this.getUserCollection('subscriptions');
-                let query = collection;
-
-                if (activeOnly) {
-                    query = collection.where('is_active', '==', true);
-                }
-
-                const snapshot = await query.get();
-                return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            } catch (error) {
-                console.error('Firestore getSubscriptions error:', error);
-                return this.getSubscriptionsLocal(activeOnly);
-            }
+        const subscriptions = await this.getDocs(await this.getAdapter(), 'subscriptions');
+        if (activeOnly) {
+            return calculator.getActiveSubscriptions(subscriptions);
         }
-        return this.getSubscriptionsLocal(activeOnly);
+        return subscriptions;
     }
 
     /**
-     * LocalStorageから全サブスクリプションを取得
+     * 内容に誤りがあり集計から除いたもの（getQuarantinedSubscriptions）も含めて全サブスクリプションを取得
+     * バックアップ・置き換え・再計算など、すべての記録を扱う処理に使う
+     * @returns {Promise<Array>} サブスクリプション配列
      */
-    getSubscriptionsLocal(activeOnly = true) {
-        const data = localStorage.getItem(this.SUBSCRIPTIONS_KEY);
-        const subscriptions = data ? JSON.parse(data) : [];
-
-        if (activeOnly) {
-            return subscriptions.filter(sub => sub.is_active);
-        }
-        return subscriptions;
+    async getAllSubscriptions() {
+        return this.getDocs(await this.getAdapter(), 'subscriptions', { raw: true });
     }
 
     /**
@@ -96,26 +162,7 @@ class SubscManStorage {
      * @returns {Promise<Object|null>} サブスクリプションオブジェクト
      */
     async getSubscriptionById(id) {
-        if (this.useFirestore()) {
-            try {
-                const doc = await this.getUserCollection('subscriptions').doc(id).get();
-                if (doc.exists) {
-                    return { id: doc.id, ...doc.data() };
-                }
-                return null;
-            } catch (error) {
-                console.error('Firestore getSubscriptionById error:', error);
-                return this.getSubscriptionByIdLocal(id);
-            }
-        }
-        return this.getSubscriptionByIdLocal(id);
-    }
-
-    /**
-     * LocalStorageからIDでサブスクリプションを取得
-     */
-    getSubscriptionByIdLocal(id) {
-        const subscriptions = this.getSubscriptionsLocal(false);
+        const subscriptions = await this.getSubscriptions(false);
         return subscriptions.find(sub => sub.id === id) || null;
     }
 
@@ -123,48 +170,53 @@ class SubscManStorage {
      * サブスクリプションを追加
      * @param {Object} data - サブスクリプションデータ
      * @returns {Promise<Object>} 追加されたサブスクリプション
+     * @throws {ValidationError} 内容が subscriptionSchema に合わない場合
      */
     async addSubscription(data) {
+        const now = new Date();
         const newSubscription = {
             service_name: data.service_name,
             amount_original: parseFloat(data.amount_original),
             currency: data.currency,
-            amount_jpy_monthly: data.amount_jpy_monthly,
-            amount_jpy_yearly: data.amount_jpy_yearly,
+            amount_monthly: data.amount_monthly,
+            amount_yearly: data.amount_yearly,
+            amount_monthly_net: data.amount_monthly_net,
+            amount_yearly_net: data.amount_yearly_net,
+            amount_currency: data.amount_currency,
+            // null の場合は設定の既定値を使う
+            fx_fee_percent: data.fx_fee_percent ?? null,
+            tax_excluded: data.tax_excluded || false,
+            tax_rate: data.tax_rate ?? null,
             billing_cycle: data.billing_cycle || '月払い',
+            billing_interval: calculator.getBillingInterval(data),
             category: data.category || 'その他',
             start_date: data.start_date || null,
             next_billing_date: data.next_billing_date || null,
+            // トライアル中は amount_original をトライアル後の金額として扱う
+            is_trial: data.is_trial || false,
+            trial_end_date: data.trial_end_date || null,
+            // プロモ・段階料金 [{ start_date, end_date, amount }]（期間外は amount_original）
+            price_schedule: data.price_schedule || [],
             memo: data.memo || '',
             is_active: true,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
+            schema_version: schemaMigrator.CURRENT_VERSION,
+            // 登録時の価格を開始日（未設定なら登録日）からの価格として記録
+            price_history: [{
+                date: data.start_date || calculator.toDateString(now),
+                amount_original: parseFloat(data.amount_original),
+                currency: data.currency,
+                recorded_at: now.toISOString()
+            }],
+            created_at: now.toISOString(),
+            updated_at: now.toISOString()
         };
+        subscriptionSchema.assertValid(newSubscription);
 
-        if (this.useFirestore()) {
-            try {
-                const docRef = await this.getUserCollection('subscriptions').add(newSubscription);
-                return { id: docRef.id, ...newSubscription };
-            } catch (error) {
-                console.error('Firestore addSubscription error:', error);
-                return this.addSubscriptionLocal(newSubscription);
-            }
-        }
-        return this.addSubscriptionLocal(newSubscription);
-    }
-
-    /**
-     * LocalStorageにサブスクリプションを追加
-     */
-    addSubscriptionLocal(data) {
-        const subscriptions = this.getSubscriptionsLocal(false);
-        const newSubscription = {
-            id: this.generateId(),
-            ...data
-        };
-        subscriptions.push(newSubscription);
-        localStorage.setItem(this.SUBSCRIPTIONS_KEY, JSON.stringify(subscriptions));
-        return newSubscription;
+        // IDは書き込む前に採番し、送信できなかった場合も同じIDで後から書き込む
+        const adapter = await this.getAdapter();
+        const id = adapter.createId();
+        await adapter.write([{ collection: 'subscriptions', id, type: 'set', data: newSubscription }]);
+        return { id, ...newSubscription };
     }
 
     /**
@@ -172,6 +224,7 @@ class SubscManStorage {
      * @param {string} id - サブスクリプションID
      * @param {Object} data - 更新データ
      * @returns {Promise<Object|null>} 更新されたサブスクリプション
+     * @throws {ValidationError} 変更後の内容が subscriptionSchema に合わない場合
      */
     async updateSubscription(id, data) {
         const updateData = {
@@ -179,68 +232,227 @@ class SubscManStorage {
             updated_at: new Date().toISOString()
         };
 
-        if (this.useFirestore()) {
-            try {
-                await this.getUserCollection('subscriptions').doc(id).update(updateData);
-                return { id, ...updateData };
-            } catch (error) {
-                console.error('Firestore updateSubscription error:', error);
-                return this.updateSubscriptionLocal(id, updateData);
-            }
+        const current = await this.getSubscriptionById(id);
+        if (!current) {
+            return null;
         }
-        return this.updateSubscriptionLocal(id, updateData);
+        // 変更する項目と、その項目が関わる項目をまたぐ条件だけを検証する
+        subscriptionSchema.assertValid({ ...current, ...updateData }, Object.keys(data));
+
+        const priceHistory = this.buildPriceHistory(current, data);
+        if (priceHistory) {
+            updateData.price_history = priceHistory;
+        }
+
+        const adapter = await this.getAdapter();
+        await adapter.write([{ collection: 'subscriptions', id, type: 'update', data: updateData }]);
+        return { ...current, ...updateData };
     }
 
     /**
-     * LocalStorageでサブスクリプションを更新
+     * 金額・通貨の変更を価格履歴に追加
+     * 履歴のない旧データは変更前の価格を開始日（未設定なら登録日）からの価格として補う
+     * @param {Object} current - 変更前のサブスクリプション
+     * @param {Object} data - 更新データ
+     * @returns {Array|null} 新しい価格履歴。金額・通貨が変わらない場合は null
      */
-    updateSubscriptionLocal(id, data) {
-        const subscriptions = this.getSubscriptionsLocal(false);
-        const index = subscriptions.findIndex(sub => sub.id === id);
+    buildPriceHistory(current, data) {
+        const amount = data.amount_original !== undefined ? parseFloat(data.amount_original) : current.amount_original;
+        const currency = data.currency !== undefined ? data.currency : current.currency;
 
-        if (index === -1) {
+        if (amount === current.amount_original && currency === current.currency) {
             return null;
         }
 
-        subscriptions[index] = {
-            ...subscriptions[index],
-            ...data
+        const now = new Date();
+        const history = current.price_history && current.price_history.length > 0
+            ? [...current.price_history]
+            : calculator.getPriceHistory(current).map(entry => ({ ...entry, recorded_at: current.created_at || null }));
+
+        // 同じ日の変更は最後の価格だけを残す（開始日前の変更は登録時の価格を置き換える）
+        const today = calculator.toDateString(now);
+        return [
+            ...history.filter(entry => entry.date < today),
+            { date: today, amount_original: amount, currency, recorded_at: now.toISOString() }
+        ];
+    }
+
+    /**
+     * サブスクリプションを解約（記録は残し、利用終了日以降は集計から外れる）
+     * @param {string} id - サブスクリプションID
+     * @param {string} cancelDate - 利用終了日（'YYYY-MM-DD'）
+     * @param {string} reason - 解約理由
+     * @returns {Promise<Object|null>} 更新されたサブスクリプション
+     */
+    async cancelSubscription(id, cancelDate, reason) {
+        const changes = {
+            cancel_date: cancelDate,
+            cancel_reason: reason || '',
+            cancelled_at: new Date().toISOString()
         };
+        // 終了日が先の場合は解約予定として終了日まで契約中のまま扱う
+        changes.is_active = !calculator.isEnded(changes);
+        return this.updateSubscription(id, changes);
+    }
+
+    /**
+     * 解約したサブスクリプションを再開
+     * @param {string} id - サブスクリプションID
+     * @returns {Promise<Object|null>} 更新されたサブスクリプション
+     */
+    async reactivateSubscription(id) {
+        return this.updateSubscription(id, {
+            is_active: true,
+            cancel_date: null,
+            cancel_reason: null,
+            cancelled_at: null
+        });
+    }
 
-        localStorage.setItem(this.SUBSCRIPTIONS_KEY, JSON.stringify(subscriptions));
-        return subscriptions[index];
+    /**
+     * 解約済み・解約予定のサブスクリプションを取得（利用終了日の新しい順）
+     * @returns {Promise<Array>} サブスクリプション配列
+     */
+    async getArchivedSubscriptions() {
+        const subscriptions = await this.getSubscriptions(false);
+        return subscriptions
+            .filter(sub => sub.cancel_date || !sub.is_active)
+            .sort((a, b) => (b.cancel_date || '').localeCompare(a.cancel_date || ''));
     }
 
     /**
-     * サブスクリプションを削除（物理削除）
+     * サブスクリプションを削除（ゴミ箱に移動）
      * @param {string} id - サブスクリプションID
      * @returns {Promise<boolean>} 削除成功/失敗
      */
     async deleteSubscription(id) {
-        if (this.useFirestore()) {
-            try {
-                await this.getUserCollection('subscriptions').doc(id).delete();
-                return true;
-            } catch (error) {
-                console.error('Firestore deleteSubscription error:', error);
-                return this.deleteSubscriptionLocal(id);
-            }
+        const target = await this.getSubscriptionById(id);
+        if (!target) {
+            return false;
+        }
+
+        const { id: _, ...data } = target;
+        const adapter = await this.getAdapter();
+        await adapter.write([
+            { collection: 'trash', id, type: 'set', data: { ...data, deleted_at: new Date().toISOString() } },
+            { collection: 'subscriptions', id, type: 'delete' }
+        ]);
+        return true;
+    }
+
+    /**
+     * サブスクリプションを完全に削除（ゴミ箱を経由しない。追加の取り消し用）
+     * @param {string} id - サブスクリプションID
+     * @returns {Promise<boolean>} 削除成功/失敗
+     */
+    async removeSubscription(id) {
+        const adapter = await this.getAdapter();
+        await adapter.write([{ collection: 'subscriptions', id, type: 'delete' }]);
+        return true;
+    }
+
+    /**
+     * 複数のサブスクリプションをまとめて完全に削除（一括追加の取り消し用）
+     * @param {Array} ids - サブスクリプションIDの配列
+     * @returns {Promise<number>} 削除した件数
+     */
+    async removeSubscriptions(ids) {
+        const adapter = await this.getAdapter();
+        const operations = ids.map(id => ({ collection: 'subscriptions', id, type: 'delete' }));
+        // Firestore の1回の書き込みの上限を超えないよう分けて書き込む
+        for (let i = 0; i < operations.length; i += this.WRITE_BATCH_SIZE) {
+            await adapter.write(operations.slice(i, i + this.WRITE_BATCH_SIZE));
         }
-        return this.deleteSubscriptionLocal(id);
+        return ids.length;
     }
 
     /**
-     * LocalStorageでサブスクリプションを削除
+     * サブスクリプションを指定の内容で丸ごと置き換え（編集の取り消し用）
+     * 保存されていた内容に戻すため検証はしない
+     * @param {Object} sub - 置き換え後のサブスクリプション（id を含む）
+     * @returns {Promise<Object>} 置き換えたサブスクリプション
      */
-    deleteSubscriptionLocal(id) {
-        const subscriptions = this.getSubscriptionsLocal(false);
-        const filtered = subscriptions.filter(sub => sub.id !== id);
+    async replaceSubscription(sub) {
+        const { id, ...data } = sub;
+        const adapter = await this.getAdapter();
+        await adapter.write([{ collection: 'subscriptions', id, type: 'set', data }]);
+        return sub;
+    }
+
+    // ===================================
+    // ゴミ箱
+    // ===================================
+
+    /**
+     * ゴミ箱のサブスクリプションを取得（保管期間を過ぎたものは完全に削除）
+     * @returns {Promise<Array>} 削除日時の新しい順のサブスクリプション配列
+     */
+    async getTrash() {
+        const adapter = await this.getAdapter();
+        const trash = await this.getDocs(adapter, 'trash');
+
+        const expired = trash.filter(sub => this.isTrashExpired(sub));
+        if (expired.length > 0) {
+            await adapter.write(expired.map(sub => ({ collection: 'trash', id: sub.id, type: 'delete' })));
+        }
 
-        if (filtered.length === subscriptions.length) {
+        return this.sortTrash(trash.filter(sub => !this.isTrashExpired(sub)));
+    }
+
+    /**
+     * ゴミ箱の保管期間を過ぎているかどうか
+     * @param {Object} sub - ゴミ箱のサブスクリプション
+     * @returns {boolean}
+     */
+    isTrashExpired(sub) {
+        return this.getTrashDaysLeft(sub) <= 0;
+    }
+
+    /**
+     * 完全に削除されるまでの残り日数を取得
+     * @param {Object} sub - ゴミ箱のサブスクリプション
+     * @returns {number} 残り日数（切り上げ）
+     */
+    getTrashDaysLeft(sub) {
+        const elapsedDays = (Date.now() - new Date(sub.deleted_at).getTime()) / (24 * 60 * 60 * 1000);
+        return Math.ceil(this.TRASH_RETENTION_DAYS - elapsedDays);
+    }
+
+    /**
+     * ゴミ箱を削除日時の新しい順に並べ替え
+     */
+    sortTrash(trash) {
+        return trash.sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+    }
+
+    /**
+     * ゴミ箱からサブスクリプションを元に戻す（同じIDで復元）
+     * @param {string} id - サブスクリプションID
+     * @returns {Promise<boolean>} 復元成功/失敗
+     */
+    async restoreFromTrash(id) {
+        const target = (await this.getTrash()).find(sub => sub.id === id);
+        if (!target) {
             return false;
         }
 
-        localStorage.setItem(this.SUBSCRIPTIONS_KEY, JSON.stringify(filtered));
+        const { id: _, deleted_at, ...data } = target;
+        const adapter = await this.getAdapter();
+        await adapter.write([
+            { collection: 'subscriptions', id, type: 'set', data },
+            { collection: 'trash', id, type: 'delete' }
+        ]);
+        return true;
+    }
+
+    /**
+     * ゴミ箱のサブスクリプションを完全に削除
+     * @param {string} id - サブスクリプションID
+     * @returns {Promise<boolean>} 削除成功/失敗
+     */
+    async deleteFromTrash(id) {
+        const adapter = await this.getAdapter();
+        await adapter.write([{ collection: 'trash', id, type: 'delete' }]);
         return true;
     }
 
@@ -250,69 +462,223 @@ class SubscManStorage {
 
     /**
      * 設定を取得
+     * クラウドに設定がまだない場合や取得できない場合は端末の設定を使う
      * @returns {Promise<Object>} 設定オブジェクト
      */
     async getSettings() {
-        if (this.useFirestore()) {
-            try {
-                const doc = await db.collection('users').doc(this.getUserId()).get();
-                if (doc.exists && doc.data().settings) {
-                    return doc.data().settings;
-                }
-            } catch (error) {
-                console.error('Firestore getSettings error:', error);
-            }
+        const adapter = await this.getAdapter();
+        let settings = await adapter.getSettings();
+        if (!settings && adapter !== this.deviceAdapter) {
+            settings = await this.deviceAdapter.getSettings();
         }
-        return this.getSettingsLocal();
+        if (!settings) {
+            return this.normalizeSettings({ schema_version: schemaMigrator.CURRENT_VERSION });
+        }
+
+        if (schemaMigrator.needsMigration(settings)) {
+            await this.migrateSettings(adapter, settings);
+        }
+        return this.normalizeSettings(settings);
+    }
+
+    /**
+     * 設定を現在の形式に揃える
+     * 形式を移行した上で（SchemaMigrator を参照）、レートのない通貨や未設定の項目には既定値を補う
+     * @param {Object} settings - 保存されていた設定
+     * @returns {Object} 正規化された設定
+     */
+    normalizeSettings(settings) {
+        const migrated = schemaMigrator.migrateSettings(settings);
+        const normalized = { ...this.getDefaultSettings(), ...migrated };
+        normalized.exchange_rates = { ...currencyRegistry.getDefaultRates(), ...(migrated.exchange_rates || {}) };
+
+        if (!currencyRegistry.has(normalized.base_currency)) {
+            normalized.base_currency = 'JPY';
+        }
+        return normalized;
     }
 
     /**
-     * LocalStorageから設定を取得
+     * 設定を保存
+     * @param {Object} settings - 設定オブジェクト全体
+     * @returns {Promise<Object>} 保存した設定
      */
-    getSettingsLocal() {
-        const data = localStorage.getItem(this.SETTINGS_KEY);
-        return data ? JSON.parse(data) : this.getDefaultSettings();
+    async saveSettings(settings) {
+        const adapter = await this.getAdapter();
+        await adapter.saveSettings(settings);
+
+        // ログアウト後やクラウドから取得できない場合にも使えるよう、端末にも保存する
+        if (adapter !== this.deviceAdapter) {
+            await this.deviceAdapter.saveSettings(settings);
+        }
+        return settings;
     }
 
     /**
-     * 為替レートを更新
-     * @param {number} rate - USD/JPY レート
+     * 設定の一部を更新
+     * @param {Object} changes - 更新する項目
      * @returns {Promise<Object>} 更新された設定
      */
-    async updateExchangeRate(rate) {
+    async updateSettings(changes) {
         const settings = await this.getSettings();
-        settings.usd_to_jpy_rate = parseFloat(rate);
+        return this.saveSettings({ ...settings, ...changes });
+    }
+
+    /**
+     * 為替レートを更新して履歴に記録し、サブスクの基準通貨換算額を再計算
+     * @param {Object} rates - 更新する通貨別レート { USD: 155.2, EUR: 168.4, ... }（1単位あたりの円）
+     * @param {string} source - 取得元（'manual' または 'api'）
+     * @returns {Promise<Object>} { settings, updated, before, after }（再計算結果は recalculateAmounts を参照）
+     */
+    async updateExchangeRates(rates, source = 'manual') {
+        const settings = await this.getSettings();
+        Object.entries(rates).forEach(([code, rate]) => {
+            if (currencyRegistry.has(code) && code !== currencyRegistry.RATE_CURRENCY) {
+                settings.exchange_rates[code] = parseFloat(rate);
+            }
+        });
         settings.last_updated = new Date().toISOString();
 
-        if (this.useFirestore()) {
+        // 履歴は古いものから順に保持し、上限を超えたら古いものを捨てる
+        settings.exchange_rate_history = [
+            ...settings.exchange_rate_history,
+            { date: settings.last_updated, rates: { ...settings.exchange_rates }, source }
+        ].slice(-this.RATE_HISTORY_LIMIT);
+
+        await this.saveSettings(settings);
+
+        const result = await this.recalculateAmounts(settings);
+        return { settings, ...result };
+    }
+
+    /**
+     * 全サブスクの基準通貨換算額を指定の設定で再計算し、変わったものを保存
+     * @param {Object} settings - 設定（exchange_rates, fx_fee_percent, tax_rate）
+     * @returns {Promise<Object>} { updated: 更新件数, before: { monthly, yearly }, after: { monthly, yearly } }
+     */
+    async recalculateAmounts(settings) {
+        const subscriptions = await this.getAllSubscriptions();
+        const changes = [];
+        const priced = [];
+        const repriced = [];
+
+        subscriptions.forEach(sub => {
+            // 内容に誤りがあり計算できないもの（未対応の通貨・数値でない金額など）はそのまま残す
+            let amounts;
             try {
-                await db.collection('users').doc(this.getUserId()).set(
-                    { settings },
-                    { merge: true }
-                );
+                amounts = calculator.calculateAmounts(sub, settings);
             } catch (error) {
-                console.error('Firestore updateExchangeRate error:', error);
+                return;
+            }
+            if (!Number.isFinite(amounts.amount_monthly)) {
+                return;
+            }
+
+            priced.push(sub);
+            const unchanged = Object.keys(amounts).every(key => amounts[key] === sub[key]);
+            if (unchanged) {
+                repriced.push(sub);
+                return;
             }
+            changes.push({ id: sub.id, amounts });
+            repriced.push({ ...sub, ...amounts });
+        });
+
+        // 合計はダッシュボードと同じく契約中のもの（利用終了日を過ぎた解約予定を除く）のみで比較
+        const totals = (subs) => {
+            const active = calculator.getActiveSubscriptions(subs);
+            return {
+                monthly: calculator.getTotalMonthly(active),
+                yearly: calculator.getTotalYearly(active)
+            };
+        };
+        const result = {
+            updated: changes.length,
+            before: totals(priced),
+            after: totals(repriced)
+        };
+
+        if (changes.length === 0) {
+            return result;
         }
 
-        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
-        return settings;
+        const adapter = await this.getAdapter();
+        await adapter.write(changes.map(({ id, amounts }) => ({
+            collection: 'subscriptions', id, type: 'update', data: amounts
+        })));
+        return result;
     }
 
     // ===================================
     // API キー管理
     // ===================================
 
+    // APIキーは平文のまま、またはパスフレーズで暗号化して（keyVault を参照）保存する
+
+    /**
+     * APIキーを取得
+     * @returns {string|null} APIキー（未設定、または暗号化されていてロック中の場合は null）
+     */
     getApiKey() {
-        return localStorage.getItem(this.API_KEY_KEY);
+        const stored = localStorage.getItem(this.API_KEY_KEY);
+        return keyVault.isEncrypted(stored) ? keyVault.getApiKey() : stored;
+    }
+
+    /**
+     * APIキーが保存されているか（ロック中でも true）
+     * @returns {boolean}
+     */
+    hasApiKey() {
+        return !!localStorage.getItem(this.API_KEY_KEY);
+    }
+
+    /**
+     * 保存されている APIキーが暗号化されているか
+     * @returns {boolean}
+     */
+    isApiKeyEncrypted() {
+        return keyVault.isEncrypted(localStorage.getItem(this.API_KEY_KEY));
     }
 
+    /**
+     * 暗号化された APIキーがロック中か（使う前にロック解除が必要）
+     * @returns {boolean}
+     */
+    isApiKeyLocked() {
+        return this.isApiKeyEncrypted() && !keyVault.isUnlocked();
+    }
+
+    /**
+     * APIキーを平文で保存（暗号化していた場合は解除する）
+     * @param {string} key - APIキー
+     */
     setApiKey(key) {
         localStorage.setItem(this.API_KEY_KEY, key);
+        keyVault.lock();
+    }
+
+    /**
+     * APIキーをパスフレーズで暗号化して保存（平文で保存されていたものは置き換える）
+     * @param {string} key - APIキー
+     * @param {string|null} passphrase - パスフレーズ（省略時はロック解除中のパスフレーズのまま）
+     */
+    async setEncryptedApiKey(key, passphrase = null) {
+        localStorage.setItem(this.API_KEY_KEY, await keyVault.encrypt(key, passphrase));
+    }
+
+    /**
+     * 暗号化された APIキーのロックを解除
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<string>} APIキー
+     * @throws {Error} パスフレーズが違う場合
+     */
+    async unlockApiKey(passphrase) {
+        return keyVault.decrypt(localStorage.getItem(this.API_KEY_KEY), passphrase);
     }
 
     removeApiKey() {
         localStorage.removeItem(this.API_KEY_KEY);
+        keyVault.lock();
     }
 
     // ===================================
@@ -320,55 +686,453 @@ class SubscManStorage {
     // ===================================
 
     /**
-     * LocalStorageのデータをFirestoreにアップロード
+     * ローカルとクラウドのサブスクを照合する際のキーを取得
+     * サービス名（大文字小文字・全角半角・前後の空白を無視）・通貨・支払いサイクルが同じものを同一とみなす
+     * @param {Object} sub - サブスクリプション
+     * @returns {string} 照合キー
      */
-    async uploadLocalDataToFirestore() {
-        if (!this.useFirestore()) return;
+    getMergeKey(sub) {
+        const name = (sub.service_name || '').normalize('NFKC').trim().toLowerCase();
+        return [name, sub.currency, calculator.getCycleLabel(sub)].join('|');
+    }
 
-        const localSubs = this.getSubscriptionsLocal(false);
-        const batch = db.batch();
-        const collection = this.getUserCollection('subscriptions');
+    /**
+     * 同一とみなしたサブスクの内容が異なる項目を取得
+     * @param {Object} local - ローカルのサブスクリプション
+     * @param {Object} cloud - クラウドのサブスクリプション
+     * @returns {Array} 異なる項目名（MERGE_COMPARE_FIELDS のうち該当するもの）
+     */
+    getMergeDifferences(local, cloud) {
+        return this.MERGE_COMPARE_FIELDS.filter(field =>
+            JSON.stringify(local[field] ?? null) !== JSON.stringify(cloud[field] ?? null)
+        );
+    }
 
-        for (const sub of localSubs) {
-            const docRef = collection.doc();
-            const { id, ...data } = sub;
-            batch.set(docRef, data);
+    /**
+     * 端末内のデータをクラウドのデータと照合し、アップロード方法の案を作成
+     * クラウドの1件に対応させるローカルのデータは1件まで
+     * action の初期値は、対応するものがなければ追加、同じ内容ならスキップ、
+     * 内容が異なる場合はローカルの方が新しく更新されていれば上書き、そうでなければスキップ
+     * 内容が subscriptionSchema に合わないローカルのサブスクは errors を付けてスキップにする
+     * @returns {Promise<Array>} [{ local, cloud, differences, errors, action: 'keep' | 'overwrite' | 'skip' }]
+     */
+    async planLocalDataMerge() {
+        await this.ready;
+        const localSubs = await this.getDocs(this.deviceAdapter, 'subscriptions');
+        if (localSubs.length === 0) {
+            return [];
         }
+        const unmatched = await this.getSubscriptions(false);
 
-        try {
-            await batch.commit();
-            // アップロード成功後、ローカルデータをクリア
-            localStorage.removeItem(this.SUBSCRIPTIONS_KEY);
-            return true;
-        } catch (error) {
-            console.error('Upload to Firestore error:', error);
-            return false;
+        return localSubs.map(local => {
+            const errors = subscriptionSchema.validate(local);
+            const key = this.getMergeKey(local);
+            const index = unmatched.findIndex(cloud => this.getMergeKey(cloud) === key);
+            if (index === -1) {
+                return { local, cloud: null, differences: [], errors, action: errors.length > 0 ? 'skip' : 'keep' };
+            }
+
+            const [cloud] = unmatched.splice(index, 1);
+            const differences = this.getMergeDifferences(local, cloud);
+            const localIsNewer = (local.updated_at || '') > (cloud.updated_at || '');
+            const action = errors.length === 0 && differences.length > 0 && localIsNewer ? 'overwrite' : 'skip';
+            return { local, cloud, differences, errors, action };
+        });
+    }
+
+    /**
+     * 端末内のデータを照合結果に従ってFirestoreにアップロードし、端末内のサブスクをクリア
+     * keep: 新しいサブスクとして追加 / overwrite: 対応するクラウドのサブスクをローカルの内容で置き換え / skip: アップロードしない
+     * 送信できなかった分は未送信として保持されるため、端末内のデータはそのままクリアする
+     * 内容が subscriptionSchema に合わないサブスクはアップロードしない
+     * discard: 端末内から削除 / fix: 修正してから追加できるよう repairs として返す（追加するまで端末内に残す）/ skip: 端末内に残す
+     * @param {Array} plan - planLocalDataMerge の結果（action は変更済みのもの）
+     * @returns {Promise<Object|null>} { added, overwritten, skipped, discarded, repairs }（未ログインの場合は null）
+     */
+    async uploadLocalDataToFirestore(plan) {
+        if (!this.useFirestore()) return null;
+
+        const operations = [];
+        const cleared = [];
+        const result = { added: 0, overwritten: 0, skipped: 0, discarded: 0, repairs: [] };
+
+        plan.forEach(({ local, cloud, action }) => {
+            if (subscriptionSchema.validate(local).length > 0) {
+                if (action === 'discard') {
+                    cleared.push(local.id);
+                    result.discarded++;
+                } else if (action === 'fix') {
+                    result.repairs.push(local);
+                } else {
+                    result.skipped++;
+                }
+                return;
+            }
+
+            const { id, ...data } = local;
+            cleared.push(id);
+            if (action === 'keep') {
+                const newId = this.cloudAdapter.createId();
+                operations.push({ collection: 'subscriptions', id: newId, type: 'set', data });
+                result.added++;
+            } else if (action === 'overwrite' && cloud) {
+                operations.push({ collection: 'subscriptions', id: cloud.id, type: 'set', data });
+                result.overwritten++;
+            } else {
+                result.skipped++;
+            }
+        });
+
+        if (operations.length > 0) {
+            await this.cloudAdapter.write(operations);
         }
+        if (cleared.length > 0) {
+            await this.deviceAdapter.write(cleared.map(id => ({ collection: 'subscriptions', id, type: 'delete' })));
+        }
+        return result;
+    }
+
+    /**
+     * 内容に誤りのあったサブスクを修正した内容で保存
+     * device: 端末内のもの（uploadLocalDataToFirestore の repairs）をクラウドに追加し、端末内から削除
+     * cloud: クラウドのもの（getQuarantinedSubscriptions）を同じIDのまま置き換える
+     * フォームにない項目（解約・価格履歴・登録日時など）は元の内容を引き継ぐ
+     * @param {Object} repair - { sub, source: 'device' | 'cloud' }
+     * @param {Object} data - 修正した内容
+     * @returns {Promise<Object>} 保存したサブスクリプション
+     * @throws {ValidationError} 修正後の内容が subscriptionSchema に合わない場合
+     */
+    async saveRepairedSubscription({ sub, source }, data) {
+        const { id: currentId, ...current } = sub;
+        const repaired = {
+            ...current,
+            ...data,
+            schema_version: schemaMigrator.CURRENT_VERSION,
+            updated_at: new Date().toISOString()
+        };
+        subscriptionSchema.assertValid(repaired);
+
+        const adapter = await this.getAdapter();
+        const id = source === 'cloud' ? currentId : adapter.createId();
+        await adapter.write([{ collection: 'subscriptions', id, type: 'set', data: repaired }]);
+        if (source === 'device') {
+            await this.deviceAdapter.write([{ collection: 'subscriptions', id: currentId, type: 'delete' }]);
+        }
+        return { id, ...repaired };
     }
 
     // ===================================
-    // ユーティリティ
+    // バックアップ
+    // ===================================
+
+    /**
+     * 全データをバックアップ用のオブジェクトとして取得
+     * APIキーは端末ごとの秘密情報のため含めない。内容に誤りがあり集計から除いたサブスクも含める
+     * @returns {Promise<Object>} { format, version, schema_version, exported_at, subscriptions, trash, settings, categories }
+     */
+    async exportData() {
+        const subscriptions = await this.getAllSubscriptions();
+        const trash = await this.getTrash();
+        const settings = await this.getSettings();
+
+        return {
+            format: this.BACKUP_FORMAT,
+            version: this.BACKUP_VERSION,
+            schema_version: schemaMigrator.CURRENT_VERSION,
+            exported_at: new Date().toISOString(),
+            subscriptions,
+            trash,
+            settings,
+            categories: [...new Set([...subscriptions, ...trash].map(sub => sub.category).filter(Boolean))]
+        };
+    }
+
+    /**
+     * バックアップの内容を検証
+     * @param {Object} data - 読み込んだバックアップ
+     * @returns {Array} エラーメッセージ（問題がなければ空配列）
+     */
+    validateBackup(data) {
+        if (!data || typeof data !== 'object' || data.format !== this.BACKUP_FORMAT) {
+            return ['SubscMan のバックアップファイルではありません'];
+        }
+        if (!Number.isInteger(data.version) || data.version > this.BACKUP_VERSION) {
+            return [`対応していないバックアップの形式です（バージョン ${data.version}）。アプリを更新してください`];
+        }
+        if (!Array.isArray(data.subscriptions) || (data.trash !== undefined && !Array.isArray(data.trash))) {
+            return ['サブスクの一覧が読み込めません'];
+        }
+        if (data.settings !== undefined && (typeof data.settings !== 'object' || data.settings === null
+            || (data.settings.exchange_rate_history !== undefined && !Array.isArray(data.settings.exchange_rate_history)))) {
+            return ['設定が読み込めません'];
+        }
+
+        // 各サブスクは読み込むときと同じく現在の形式に移行してから検証する
+        const errors = [];
+        [...data.subscriptions, ...(data.trash || [])].forEach((sub, index) => {
+            const label = sub && sub.service_name ? `「${sub.service_name}」` : `${index + 1}件目`;
+            if (!sub || typeof sub !== 'object' || !sub.id) {
+                errors.push(`${label}: IDがありません`);
+                return;
+            }
+            subscriptionSchema.validate(this.toImportRecord(sub))
+                .forEach(error => errors.push(`${label}: ${error.message}`));
+        });
+        return errors;
+    }
+
+    /**
+     * バックアップを読み込む
+     * replace: 現在のサブスク・ゴミ箱・設定をバックアップの内容で置き換える
+     * merge: 同じIDまたは同じサブスク（getMergeKey）は更新日時の新しい方を残し、ないものは追加する。設定は現在のものを残し、為替レート履歴だけを統合する
+     * 読み込んだ後、基準通貨換算額を現在の設定で再計算する
+     * @param {Object} data - validateBackup で検証済みのバックアップ
+     * @param {string} mode - 'replace' / 'merge'
+     * @returns {Promise<Object>} { added, updated, skipped }
+     */
+    async importData(data, mode) {
+        const adapter = await this.getAdapter();
+        const result = { added: 0, updated: 0, skipped: 0 };
+        const operations = [];
+
+        const current = {
+            subscriptions: await this.getAllSubscriptions(),
+            trash: await this.getTrash()
+        };
+        const incoming = {
+            subscriptions: data.subscriptions,
+            trash: data.trash || []
+        };
+
+        Object.entries(incoming).forEach(([collection, subs]) => {
+            const existing = [...current[collection]];
+
+            if (mode === 'replace') {
+                existing.forEach(sub => operations.push({ collection, id: sub.id, type: 'delete' }));
+            }
+
+            subs.forEach(sub => {
+                const { id, ...record } = this.toImportRecord(sub);
+                if (collection === 'trash' && !record.deleted_at) {
+                    record.deleted_at = new Date().toISOString();
+                }
+
+                if (mode === 'replace') {
+                    operations.push({ collection, id, type: 'set', data: record });
+                    result.added++;
+                    return;
+                }
+
+                const key = this.getMergeKey(record);
+                const match = existing.find(other => other.id === id) || existing.find(other => this.getMergeKey(other) === key);
+                if (!match) {
+                    operations.push({ collection, id, type: 'set', data: record });
+                    existing.push({ id, ...record });
+                    result.added++;
+                } else if ((record.updated_at || '') > (match.updated_at || '')) {
+                    operations.push({ collection, id: match.id, type: 'set', data: record });
+                    result.updated++;
+                } else {
+                    result.skipped++;
+                }
+            });
+        });
+
+        // Firestore の1回の書き込みの上限を超えないよう分けて書き込む
+        for (let i = 0; i < operations.length; i += this.WRITE_BATCH_SIZE) {
+            await adapter.write(operations.slice(i, i + this.WRITE_BATCH_SIZE));
+        }
+
+        const settings = await this.importSettings(data.settings, mode);
+        await this.recalculateAmounts(settings);
+        return result;
+    }
+
+    /**
+     * バックアップのサブスクを現在の形式に移行（金額が文字列で保存された旧データは数値にする）
+     * @param {Object} sub - バックアップのサブスクリプション
+     * @returns {Object} 移行後のサブスクリプション
+     */
+    toImportRecord(sub) {
+        const migrated = schemaMigrator.migrateSubscription(sub);
+        return { ...migrated, amount_original: parseFloat(migrated.amount_original) };
+    }
+
+    /**
+     * バックアップの設定を読み込む
+     * @param {Object|undefined} imported - バックアップの設定
+     * @param {string} mode - 'replace' / 'merge'
+     * @returns {Promise<Object>} 読み込み後の設定
+     */
+    async importSettings(imported, mode) {
+        const settings = await this.getSettings();
+        if (!imported) {
+            return settings;
+        }
+
+        const incoming = this.normalizeSettings(imported);
+        if (mode === 'replace') {
+            return this.saveSettings(incoming);
+        }
+
+        // 同じ日時の記録は重複させず、古いものから順に上限まで残す
+        const history = [...settings.exchange_rate_history];
+        incoming.exchange_rate_history.forEach(entry => {
+            if (!history.some(other => other.date === entry.date)) {
+                history.push(entry);
+            }
+        });
+        history.sort((a, b) => a.date.localeCompare(b.date));
+        return this.saveSettings({ ...settings, exchange_rate_history: history.slice(-this.RATE_HISTORY_LIMIT) });
+    }
+
+    // ===================================
+    // 変更の監視
     // ===================================
 
-    generateId() {
-        return 'sub_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+    /**
+     * 他の端末・タブでのデータの変更を監視（現在の保存先のアダプターの subscribe を参照）
+     * この画面自身の書き込みによる変更は通知しない
+     * @param {Function} callback - 変更のあったデータ { source: 'cloud' | 'local', collection } を受け取る
+     * @returns {Function} 監視を解除する関数
+     */
+    subscribe(callback) {
+        const adapter = this.useFirestore() ? this.cloudAdapter : this.deviceAdapter;
+        return adapter.subscribe(callback);
     }
 
+    // ===================================
+    // ユーティリティ
+    // ===================================
+
     getDefaultSettings() {
         return {
             id: 'settings_1',
-            usd_to_jpy_rate: 150.00,
-            last_updated: new Date().toISOString()
+            // 集計・表示に使う基準通貨
+            base_currency: 'JPY',
+            exchange_rates: currencyRegistry.getDefaultRates(),
+            exchange_rate_history: [],
+            // 自動更新するまでの経過時間（時間）。0 で自動更新しない
+            rate_max_age_hours: 24,
+            rate_provider_url: 'https://api.exchangerate-api.com/v4/latest/USD',
+            // 外貨建てに掛かる海外事務手数料（%）と、税抜価格に上乗せする消費税率（%）
+            fx_fee_percent: 0,
+            tax_rate: 10,
+            // 既定レートは取得したものではないため未更新扱い
+            last_updated: null
         };
     }
 
-    initializeIfEmpty() {
-        if (!localStorage.getItem(this.SETTINGS_KEY)) {
-            localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(this.getDefaultSettings()));
+    /**
+     * 端末内の保存先を使える状態にする
+     * LocalStorage に以前のデータがあれば IndexedDB に移し、設定がなければ既定値を保存し、古い形式のデータを移行する
+     */
+    async initializeIfEmpty() {
+        let settings;
+        try {
+            await this.moveLocalStorageData();
+            settings = await this.deviceAdapter.getSettings();
+        } catch (error) {
+            // IndexedDB を開けない環境（一部のプライベートブラウズなど）では LocalStorage を使い続ける
+            console.error('IndexedDB error:', error);
+            this.deviceAdapter = new LocalStorageAdapter();
+            settings = await this.deviceAdapter.getSettings();
+        }
+
+        const adapter = this.deviceAdapter;
+        if (!settings) {
+            await adapter.saveSettings({ ...this.getDefaultSettings(), schema_version: schemaMigrator.CURRENT_VERSION });
+        } else if (schemaMigrator.needsMigration(settings)) {
+            await this.migrateSettings(adapter, settings);
+        }
+
+        for (const collection of ['subscriptions', 'trash']) {
+            await this.getDocs(adapter, collection);
         }
-        if (!localStorage.getItem(this.SUBSCRIPTIONS_KEY)) {
-            localStorage.setItem(this.SUBSCRIPTIONS_KEY, JSON.stringify([]));
+    }
+
+    /**
+     * LocalStorage に保存されていたデータを端末内の保存先（IndexedDB）に移し、LocalStorage から削除
+     * 設定を最後に書き込むため、途中で失敗した場合は次回の起動時にやり直す
+     * @returns {Promise<boolean>} 移したかどうか
+     */
+    async moveLocalStorageData() {
+        const legacy = new LocalStorageAdapter();
+        if (!(this.deviceAdapter instanceof IndexedDBAdapter) || !legacy.hasData()) {
+            return false;
         }
+
+        const operations = [];
+        for (const collection of legacy.COLLECTIONS) {
+            const docs = await legacy.getAll(collection);
+            docs.forEach(({ id, ...data }) => operations.push({ collection, id, type: 'set', data }));
+        }
+        if (operations.length > 0) {
+            await this.deviceAdapter.write(operations);
+        }
+
+        const settings = await legacy.getSettings();
+        if (settings) {
+            await this.deviceAdapter.saveSettings(settings);
+        }
+
+        legacy.clear();
+        return true;
+    }
+
+    /**
+     * 文書のうち古い形式のものを移行し、移行前の内容を backups コレクションに残して書き戻す
+     * 読み込むたびに呼ぶため、移行が必要な文書がなければ何も書き込まない
+     * @param {Object} adapter - ストレージアダプター
+     * @param {string} collection - 'subscriptions' / 'trash'
+     * @param {Array} docs - 保存されていた文書
+     * @returns {Promise<Array>} 移行後の文書
+     */
+    async migrateDocs(adapter, collection, docs) {
+        const operations = [];
+        const now = new Date().toISOString();
+
+        const migrated = docs.map(doc => {
+            if (!schemaMigrator.needsMigration(doc)) {
+                return doc;
+            }
+
+            const { id, ...data } = doc;
+            const fromVersion = schemaMigrator.getVersion(data);
+            const next = schemaMigrator.migrateSubscription(data);
+            operations.push(
+                {
+                    collection: 'backups',
+                    id: `${collection}_${id}_v${fromVersion}`,
+                    type: 'set',
+                    data: { collection, doc_id: id, from_version: fromVersion, to_version: next.schema_version, data, created_at: now }
+                },
+                { collection, id, type: 'set', data: next }
+            );
+            return { id, ...next };
+        });
+
+        if (operations.length > 0) {
+            await adapter.write(operations);
+        }
+        return migrated;
+    }
+
+    /**
+     * 古い形式の設定を移行し、移行前の内容を backups コレクションに残して保存
+     * @param {Object} adapter - ストレージアダプター
+     * @param {Object} settings - 保存されていた設定
+     */
+    async migrateSettings(adapter, settings) {
+        const fromVersion = schemaMigrator.getVersion(settings);
+        const next = schemaMigrator.migrateSettings(settings);
+        await adapter.write([{
+            collection: 'backups',
+            id: `settings_v${fromVersion}`,
+            type: 'set',
+            data: { collection: 'settings', from_version: fromVersion, to_version: next.schema_version, data: settings, created_at: new Date().toISOString() }
+        }]);
+        await adapter.saveSettings(next);
     }
 
     /**
@@ -411,7 +1175,7 @@ class SubscManStorage {
         const settings = await this.getSettings();
 
         for (const sub of sampleSubscriptions) {
-            const amounts = calculator.calculateAmounts(sub, settings.usd_to_jpy_rate);
+            const amounts = calculator.calculateAmounts(sub, settings);
             await this.addSubscription({
                 ...sub,
                 ...amounts
@@ -0,0 +1,210 @@
+/**
+ * SubscMan - サブスクの検証スキーマ
+ * サブスクの各項目の型・必須・範囲と、項目をまたぐ条件を宣言的に定義し、
+ * フォーム・保存・インポート・同期で同じ検証を行う
+ */
+
+/**
+ * 検証エラー（保存時に内容が不正な場合に投げる）
+ * errors は [{ field, message }] で、フォームでは項目ごとに表示する
+ */
+class ValidationError extends Error {
+    constructor(errors) {
+        super(errors.map(error => error.message).join('\n'));
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+class SubscriptionSchema {
+    constructor() {
+        // カテゴリ
+        this.CATEGORIES = ['エンタメ', '仕事', '教育', '生活', 'AI', 'その他'];
+
+        // 項目ごとの定義
+        // type: string / number / boolean / date（'YYYY-MM-DD'）/ currency / cycle / interval / category / schedule
+        // required: 空欄（null・undefined・空文字）を許さない
+        // min / exclusiveMin: 数値の下限（exclusiveMin の場合は下限を含まない）
+        // maxLength: 文字列の最大長
+        this.FIELDS = {
+            service_name: { label: 'サービス名', type: 'string', required: true, maxLength: 100 },
+            amount_original: { label: '金額', type: 'number', required: true, min: 0, exclusiveMin: true },
+            currency: { label: '通貨', type: 'currency', required: true },
+            fx_fee_percent: { label: '海外事務手数料', type: 'number', min: 0 },
+            tax_rate: { label: '消費税率', type: 'number', min: 0 },
+            tax_excluded: { label: '税抜価格', type: 'boolean' },
+            billing_cycle: { label: '支払いサイクル', type: 'cycle', required: true },
+            billing_interval: { label: '請求間隔', type: 'interval' },
+            category: { label: 'カテゴリ', type: 'category', required: true },
+            start_date: { label: '開始日', type: 'date' },
+            next_billing_date: { label: '次回請求日', type: 'date' },
+            is_trial: { label: 'トライアル', type: 'boolean' },
+            trial_end_date: { label: 'トライアル終了日', type: 'date' },
+            price_schedule: { label: 'プロモ・段階料金', type: 'schedule' },
+            cancel_date: { label: '利用終了日', type: 'date' },
+            memo: { label: 'メモ', type: 'string', maxLength: 1000 }
+        };
+
+        // 項目をまたぐ条件（fields のいずれかを検証するときに確かめ、エラーは field に付ける）
+        this.RULES = [
+            {
+                field: 'next_billing_date',
+                fields: ['start_date', 'next_billing_date'],
+                message: '次回請求日は開始日以降の日付にしてください',
+                test: sub => !sub.start_date || !sub.next_billing_date || sub.next_billing_date >= sub.start_date
+            },
+            {
+                field: 'trial_end_date',
+                fields: ['is_trial', 'trial_end_date'],
+                message: 'トライアル終了日を入力してください',
+                test: sub => !sub.is_trial || !!sub.trial_end_date
+            },
+            {
+                field: 'cancel_date',
+                fields: ['start_date', 'cancel_date'],
+                message: '利用終了日は開始日以降の日付にしてください',
+                test: sub => !sub.start_date || !sub.cancel_date || sub.cancel_date >= sub.start_date
+            }
+        ];
+    }
+
+    /**
+     * サブスクを検証
+     * @param {Object} sub - サブスクリプション
+     * @param {Array|null} fields - 検証する項目（省略時はすべて。更新時は変更する項目だけを検証する）
+     * @returns {Array} エラー [{ field, message }]（問題がなければ空配列）
+     */
+    validate(sub, fields = null) {
+        const targets = fields ? fields.filter(field => this.FIELDS[field]) : Object.keys(this.FIELDS);
+        const errors = [];
+
+        targets.forEach(field => {
+            const message = this.validateField(field, sub[field]);
+            if (message) {
+                errors.push({ field, message });
+            }
+        });
+
+        this.RULES
+            .filter(rule => !fields || rule.fields.some(field => fields.includes(field)))
+            .filter(rule => !errors.some(error => rule.fields.includes(error.field)))
+            .forEach(rule => {
+                if (!rule.test(sub)) {
+                    errors.push({ field: rule.field, message: rule.message });
+                }
+            });
+
+        return errors;
+    }
+
+    /**
+     * サブスクを検証し、不正な場合は ValidationError を投げる
+     * @param {Object} sub - サブスクリプション
+     * @param {Array|null} fields - 検証する項目（省略時はすべて）
+     * @throws {ValidationError}
+     */
+    assertValid(sub, fields = null) {
+        const errors = this.validate(sub, fields);
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+    }
+
+    /**
+     * 1項目を検証
+     * @param {string} field - 項目名
+     * @param {*} value - 値
+     * @returns {string|null} エラーメッセージ（問題がなければ null）
+     */
+    validateField(field, value) {
+        const definition = this.FIELDS[field];
+        const { label } = definition;
+
+        if (value === undefined || value === null || value === '') {
+            return definition.required ? `${label}を入力してください` : null;
+        }
+
+        switch (definition.type) {
+            case 'string':
+                if (typeof value !== 'string' || (definition.required && value.trim() === '')) {
+                    return `${label}を入力してください`;
+                }
+                if (definition.maxLength && value.length > definition.maxLength) {
+                    return `${label}は${definition.maxLength}文字以内で入力してください`;
+                }
+                return null;
+
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    return `${label}は数値で入力してください`;
+                }
+                if (definition.min !== undefined && (definition.exclusiveMin ? value <= definition.min : value < definition.min)) {
+                    return `${label}は${definition.min}${definition.exclusiveMin ? 'より大きい' : '以上の'}数値で入力してください`;
+                }
+                return null;
+
+            case 'boolean':
+                return typeof value === 'boolean' ? null : `${label}の値が正しくありません`;
+
+            case 'date':
+                return this.isValidDate(value) ? null : `${label}の日付が正しくありません`;
+
+            case 'currency':
+                return currencyRegistry.has(value) ? null : `未対応の通貨です（${value}）`;
+
+            case 'cycle':
+                return calculator.BILLING_CYCLES[value] || value === calculator.CUSTOM_CYCLE
+                    ? null
+                    : `${label}が正しくありません（${value}）`;
+
+            case 'interval':
+                return typeof value === 'object' && calculator.INTERVAL_UNITS[value.unit]
+                    && Number.isInteger(value.count) && value.count >= 1
+                    ? null
+                    : `${label}を1以上の整数で入力してください`;
+
+            case 'category':
+                return this.CATEGORIES.includes(value) ? null : `${label}が正しくありません（${value}）`;
+
+            case 'schedule':
+                return this.validateSchedule(value);
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * プロモ・段階料金の期間を検証
+     * @param {Array} schedule - [{ start_date, end_date, amount }]
+     * @returns {string|null} エラーメッセージ（問題がなければ null）
+     */
+    validateSchedule(schedule) {
+        if (!Array.isArray(schedule)) {
+            return 'プロモ・段階料金の形式が正しくありません';
+        }
+        const invalid = schedule.find(period =>
+            !period || !this.isValidDate(period.start_date)
+            || typeof period.amount !== 'number' || !Number.isFinite(period.amount) || period.amount < 0
+            || (period.end_date && (!this.isValidDate(period.end_date) || period.end_date < period.start_date))
+        );
+        return invalid
+            ? 'プロモ・段階料金の開始日・金額を正しく入力してください（終了日は開始日以降）'
+            : null;
+    }
+
+    /**
+     * 'YYYY-MM-DD' 形式の実在する日付かどうか
+     * @param {*} value - 値
+     * @returns {boolean}
+     */
+    isValidDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return false;
+        }
+        return calculator.toDateString(calculator.parseDate(value)) === value;
+    }
+}
+
+// グローバルインスタンスを作成
+const subscriptionSchema = new SubscriptionSchema();
@@ -0,0 +1,402 @@
+/**
+ * SubscMan - 同期キューモジュール
+ * Firestore への書き込みに失敗した操作を未送信として保持し、接続が戻ったら順番に再送信する
+ * 読み込み時は最後に取得したクラウドのデータに未送信の操作を重ねて返す
+ */
+
+class SyncQueue {
+    constructor() {
+        this.PENDING_KEY = 'subscman_pending_ops';
+        this.CACHE_KEY_PREFIX = 'subscman_cloud_cache_';
+
+        // 応答がない書き込みを失敗とみなすまでの時間
+        this.WRITE_TIMEOUT_MS = 10000;
+
+        // 未送信の操作がある間に再送信を試みる間隔
+        this.RETRY_INTERVAL_MS = 30 * 1000;
+
+        // 再送信しても成功しない Firestore のエラー（該当する操作は破棄して次へ進む）
+        this.PERMANENT_ERROR_CODES = ['not-found', 'invalid-argument', 'permission-denied'];
+
+        // 同期状態（'synced' / 'pending' / 'error'）と直近のエラー
+        this.state = 'synced';
+        this.lastError = null;
+
+        // 再送信しても成功しないため破棄した操作のグループ [{ operations, error }]（画面で知らせたら取り除く）
+        this.discarded = [];
+
+        this.listeners = [];
+        this.discardListeners = [];
+        this.replaying = null;
+        this.timerId = null;
+    }
+
+    // ===================================
+    // 未送信の操作
+    // ===================================
+
+    /**
+     * 現在のユーザーの未送信の操作を取得（古い順）
+     * @returns {Array} [{ op_id, group_id, uid, collection, id, type, data, queued_at }]
+     */
+    getOperations() {
+        const uid = storage.getUserId();
+        return this.getAllOperations().filter(op => op.uid === uid);
+    }
+
+    /**
+     * 全ユーザーの未送信の操作を取得
+     */
+    getAllOperations() {
+        const data = localStorage.getItem(this.PENDING_KEY);
+        return data ? JSON.parse(data) : [];
+    }
+
+    /**
+     * 未送信の操作があるかどうか
+     * @returns {boolean}
+     */
+    hasPending() {
+        return this.getOperations().length > 0;
+    }
+
+    /**
+     * 操作を未送信としてキューに追加
+     * 一度に渡された操作は同じグループとし、再送信時も1つのバッチとして書き込む
+     * @param {Array} operations - [{ collection, id, type, data }]
+     */
+    enqueue(operations) {
+        const uid = storage.getUserId();
+        const queuedAt = new Date().toISOString();
+        const groupId = this.createId('group_');
+        const queued = operations.map(op => ({
+            op_id: this.createId('op_'),
+            group_id: groupId,
+            uid,
+            ...op,
+            queued_at: queuedAt
+        }));
+
+        localStorage.setItem(this.PENDING_KEY, JSON.stringify([...this.getAllOperations(), ...queued]));
+        this.setState(this.state === 'error' ? 'error' : 'pending');
+        this.scheduleRetry();
+    }
+
+    /**
+     * 未送信の操作・グループのIDを生成
+     * @param {string} prefix - 接頭辞
+     * @returns {string}
+     */
+    createId(prefix) {
+        return prefix + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * 未送信の操作を、一度に書き込むグループごとにまとめる（古い順）
+     * グループIDのない以前の操作は1件ずつのグループとして扱う
+     * @param {Array} operations - 未送信の操作
+     * @returns {Array} 操作の配列の配列
+     */
+    groupOperations(operations) {
+        const groups = [];
+        operations.forEach(op => {
+            const last = groups[groups.length - 1];
+            if (last && op.group_id && last[0].group_id === op.group_id) {
+                last.push(op);
+            } else {
+                groups.push([op]);
+            }
+        });
+        return groups;
+    }
+
+    /**
+     * 送信済みの操作をキューから取り除く
+     * @param {Array} opIds - 取り除く操作のID
+     */
+    removeOperations(opIds) {
+        const remaining = this.getAllOperations().filter(op => !opIds.includes(op.op_id));
+        localStorage.setItem(this.PENDING_KEY, JSON.stringify(remaining));
+    }
+
+    // ===================================
+    // Firestore への書き込み
+    // ===================================
+
+    /**
+     * 操作をまとめて Firestore に書き込む
+     * 未送信の操作が残っている場合は順序を守るためキューの後ろに積み、再送信を試みる
+     * @param {Array} operations - [{ collection, id, type, data }]
+     *   collection: 'subscriptions' / 'trash' / 'user'（ユーザー文書そのもの）
+     *   type: 'set' / 'merge' / 'update' / 'delete'
+     * @returns {Promise<boolean>} すぐに書き込めた場合は true、未送信として保持した場合は false
+     */
+    async write(operations) {
+        if (this.hasPending() || !navigator.onLine) {
+            this.enqueue(operations);
+            this.replay();
+            return false;
+        }
+
+        try {
+            await this.execute(operations);
+            return true;
+        } catch (error) {
+            console.error('Firestore write error:', error);
+            this.enqueue(operations);
+            return false;
+        }
+    }
+
+    /**
+     * 操作を1つのバッチとして実行
+     * @param {Array} operations - [{ collection, id, type, data }]
+     */
+    async execute(operations) {
+        const batch = db.batch();
+        operations.forEach(op => {
+            const ref = op.collection === 'user'
+                ? db.collection('users').doc(storage.getUserId())
+                : storage.getUserCollection(op.collection).doc(op.id);
+
+            if (op.type === 'set') {
+                batch.set(ref, op.data);
+            } else if (op.type === 'merge') {
+                batch.set(ref, op.data, { merge: true });
+            } else if (op.type === 'update') {
+                batch.update(ref, op.data);
+            } else if (op.type === 'delete') {
+                batch.delete(ref);
+            }
+        });
+
+        // オフライン時は Firestore の書き込みが完了しないまま待ち続けるため、一定時間で失敗扱いにする
+        let timeoutId;
+        const timeout = new Promise((_, reject) => {
+            timeoutId = setTimeout(() => reject(new Error('Firestore の応答がありません')), this.WRITE_TIMEOUT_MS);
+        });
+        try {
+            await Promise.race([batch.commit(), timeout]);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * 未送信の操作を古い順に再送信
+     * 再送信中に呼ばれた場合は実行中の再送信の結果を返す
+     * @returns {Promise<number>} 送信できた操作の数
+     */
+    replay() {
+        if (!this.replaying) {
+            this.replaying = this.sendPending().finally(() => {
+                this.replaying = null;
+            });
+        }
+        return this.replaying;
+    }
+
+    /**
+     * 未送信の操作をグループごとに1つのバッチとして順番に送信
+     * ゴミ箱への移動（ゴミ箱への追加とサブスクの削除）のように一緒に書き込んだ操作は、途中で中断しても片方だけが反映されることはない
+     * 失敗した時点で中断し、残りは次回に持ち越す
+     * @returns {Promise<number>} 送信できた操作の数
+     */
+    async sendPending() {
+        let sent = 0;
+
+        // オフライン中は送信せず未送信のまま待つ
+        if (!storage.useFirestore() || !navigator.onLine) {
+            return sent;
+        }
+
+        const discarded = [];
+        try {
+            for (const group of this.groupOperations(this.getOperations())) {
+                try {
+                    await this.execute(group);
+                    sent += group.length;
+                } catch (error) {
+                    if (!this.PERMANENT_ERROR_CODES.includes(error.code)) {
+                        throw error;
+                    }
+                    console.error('Sync operations discarded:', group, error);
+                    discarded.push({ operations: group, error });
+                }
+                this.removeOperations(group.map(op => op.op_id));
+            }
+
+            // 破棄した変更がある場合は同期済みとせず、エラーとして知らせる
+            if (discarded.length > 0) {
+                this.lastError = discarded[discarded.length - 1].error;
+                this.setState('error');
+            } else {
+                this.lastError = null;
+                this.setState('synced');
+            }
+        } catch (error) {
+            console.warn('Sync replay error:', error);
+            this.lastError = error;
+            this.setState('error');
+            this.scheduleRetry();
+        }
+
+        if (discarded.length > 0) {
+            this.discarded.push(...discarded);
+            this.discardListeners.forEach(callback => callback(discarded));
+        }
+        return sent;
+    }
+
+    /**
+     * 未送信の操作がある間、一定間隔で再送信を試みる
+     */
+    scheduleRetry() {
+        if (this.timerId) {
+            return;
+        }
+        this.timerId = setInterval(() => {
+            if (!this.hasPending()) {
+                clearInterval(this.timerId);
+                this.timerId = null;
+                return;
+            }
+            this.replay();
+        }, this.RETRY_INTERVAL_MS);
+    }
+
+    /**
+     * 接続の回復を監視し、戻ったら再送信を開始
+     */
+    start() {
+        window.addEventListener('online', () => this.replay());
+        this.refreshState();
+        if (this.hasPending()) {
+            this.replay();
+        }
+    }
+
+    // ===================================
+    // 読み込み時の反映
+    // ===================================
+
+    /**
+     * 文書の一覧に未送信の操作を重ねる
+     * @param {string} collection - コレクション名
+     * @param {Array} docs - クラウドから取得した文書 [{ id, ... }]
+     * @returns {Array} 未送信の変更を反映した文書
+     */
+    applyToDocs(collection, docs) {
+        const result = docs.map(doc => ({ ...doc }));
+
+        this.getOperations().filter(op => op.collection === collection).forEach(op => {
+            const index = result.findIndex(doc => doc.id === op.id);
+
+            if (op.type === 'delete') {
+                if (index !== -1) {
+                    result.splice(index, 1);
+                }
+            } else if (op.type === 'set') {
+                const doc = { id: op.id, ...op.data };
+                if (index === -1) {
+                    result.push(doc);
+                } else {
+                    result[index] = doc;
+                }
+            } else if (index !== -1) {
+                // merge / update は既存の文書に重ねる
+                result[index] = { ...result[index], ...op.data };
+            } else if (op.type === 'merge') {
+                result.push({ id: op.id, ...op.data });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * ユーザー文書の設定に未送信の変更を重ねる
+     * @param {Object|null} settings - クラウドから取得した設定
+     * @returns {Object|null} 未送信の変更を反映した設定
+     */
+    applyToSettings(settings) {
+        return this.getOperations()
+            .filter(op => op.collection === 'user' && op.data.settings)
+            .reduce((current, op) => ({ ...(current || {}), ...op.data.settings }), settings);
+    }
+
+    /**
+     * 最後に取得したクラウドのデータを保存（オフライン時の読み込み用）
+     * @param {string} collection - コレクション名
+     * @param {Array} docs - 文書
+     */
+    saveCache(collection, docs) {
+        localStorage.setItem(this.CACHE_KEY_PREFIX + collection + '_' + storage.getUserId(), JSON.stringify(docs));
+    }
+
+    /**
+     * 最後に取得したクラウドのデータを取得
+     * @param {string} collection - コレクション名
+     * @returns {Array} 文書（未取得の場合は空配列）
+     */
+    loadCache(collection) {
+        const data = localStorage.getItem(this.CACHE_KEY_PREFIX + collection + '_' + storage.getUserId());
+        return data ? JSON.parse(data) : [];
+    }
+
+    // ===================================
+    // 同期状態
+    // ===================================
+
+    /**
+     * 同期状態の変化を監視
+     * @param {Function} callback - 状態（'synced' / 'pending' / 'error'）と未送信の件数を受け取る
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+        callback(this.state, this.getOperations().length);
+    }
+
+    /**
+     * 操作の破棄を監視
+     * @param {Function} callback - 破棄したグループ [{ operations, error }] を受け取る
+     */
+    onDiscard(callback) {
+        this.discardListeners.push(callback);
+    }
+
+    /**
+     * 破棄した操作を確認済みとして取り除き、同期状態を戻す
+     */
+    acknowledgeDiscarded() {
+        this.discarded = [];
+        this.lastError = null;
+        this.refreshState();
+    }
+
+    /**
+     * 同期状態を更新して通知
+     * @param {string} state - 'synced' / 'pending' / 'error'
+     */
+    setState(state) {
+        this.state = state;
+        const count = this.getOperations().length;
+        this.listeners.forEach(callback => callback(state, count));
+    }
+
+    /**
+     * 未送信の操作の有無から同期状態を再計算（ログイン・ログアウト時など）
+     */
+    refreshState() {
+        if (!this.hasPending()) {
+            this.setState('synced');
+        } else if (this.state === 'synced') {
+            this.setState('pending');
+        } else {
+            this.setState(this.state);
+        }
+    }
+}
+
+// グローバルインスタンスを作成
+const syncQueue = new SyncQueue();
@@ -0,0 +1,392 @@
+/**
+ * SubscMan - 一覧の書き出しモジュール
+ * サブスク一覧を表計算ソフトで開ける CSV（BOM付きUTF-8）と Excel 形式（XLSX）に変換する
+ * XLSX は外部ライブラリを使わず、最小限の構成の XML を無圧縮の ZIP にまとめて作る
+ */
+
+class TableExporter {
+    constructor() {
+        this.CSV_MIME = 'text/csv;charset=utf-8';
+        this.XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+        // 表計算ソフトで数式として解釈される先頭文字（サービス名・メモなどの文字列は先頭に ' を付けて無効化）
+        this.FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+        // シート名に使えない文字と最大長
+        this.SHEET_NAME_INVALID = /[\[\]:*?/\\]/g;
+        this.SHEET_NAME_MAX_LENGTH = 31;
+
+        this.crcTable = null;
+    }
+
+    // ===================================
+    // 列の定義
+    // ===================================
+
+    /**
+     * 書き出す列を取得（金額の見出しには現在の基準通貨を表示）
+     * 月額・年額は現在の適用価格（プロモ・段階料金を反映）での基準通貨換算額
+     * @returns {Array} [{ key, label, type: 'string'|'number', value(sub) }]
+     */
+    getColumns() {
+        const base = calculator.baseCurrency;
+        const round = (amount) => calculator.roundAmount(amount, base);
+
+        return [
+            { key: 'service_name', label: 'サービス名', type: 'string', value: sub => sub.service_name },
+            { key: 'category', label: 'カテゴリ', type: 'string', value: sub => sub.category },
+            { key: 'cycle', label: '支払いサイクル', type: 'string', value: sub => calculator.getCycleLabel(sub) },
+            { key: 'amount_original', label: '元の金額', type: 'number', value: sub => sub.amount_original },
+            { key: 'currency', label: '通貨', type: 'string', value: sub => sub.currency },
+            { key: 'monthly', label: `月額（${base}）`, type: 'number', value: sub => round(calculator.getCurrentMonthly(sub)) },
+            { key: 'yearly', label: `年額（${base}）`, type: 'number', value: sub => round(calculator.getCurrentYearly(sub)) },
+            { key: 'start_date', label: '開始日', type: 'string', value: sub => sub.start_date },
+            { key: 'next_billing_date', label: '次回請求日', type: 'string', value: sub => sub.next_billing_date },
+            { key: 'trial_end_date', label: 'トライアル終了日', type: 'string', value: sub => sub.is_trial ? sub.trial_end_date : null },
+            { key: 'cancel_date', label: '解約日', type: 'string', value: sub => sub.cancel_date },
+            { key: 'status', label: '状態', type: 'string', value: sub => this.getStatusLabel(sub) },
+            { key: 'memo', label: 'メモ', type: 'string', value: sub => sub.memo }
+        ];
+    }
+
+    /**
+     * サブスクの状態の表示名を取得
+     * @param {Object} sub - サブスクリプション
+     * @returns {string} '利用中' / 'トライアル中' / '解約予定' / '解約済み'
+     */
+    getStatusLabel(sub) {
+        if (!sub.is_active || calculator.isEnded(sub)) {
+            return '解約済み';
+        }
+        if (sub.cancel_date) {
+            return '解約予定';
+        }
+        return calculator.isInTrial(sub) ? 'トライアル中' : '利用中';
+    }
+
+    /**
+     * サブスクを列の値の配列に変換
+     * @param {Array} subscriptions - サブスクリプション配列
+     * @returns {Array} 行ごとの値の配列（見出し行を含まない）
+     */
+    toRows(subscriptions) {
+        const columns = this.getColumns();
+        return subscriptions.map(sub => columns.map(column => {
+            const value = column.value(sub);
+            // 内容が不正で計算できなかった金額（NaN など）は空欄にする
+            if (typeof value === 'number' && !Number.isFinite(value)) return '';
+            return value === undefined || value === null ? '' : value;
+        }));
+    }
+
+    // ===================================
+    // CSV
+    // ===================================
+
+    /**
+     * サブスク一覧を CSV に変換
+     * Excel で日本語が文字化けしないよう先頭に BOM を付け、改行は CRLF にする
+     * @param {Array} subscriptions - サブスクリプション配列（この順で書き出す）
+     * @returns {string} CSV
+     */
+    toCsv(subscriptions) {
+        const header = this.getColumns().map(column => column.label);
+        const lines = [header, ...this.toRows(subscriptions)]
+            .map(values => values.map(value => this.escapeCsvValue(value)).join(','));
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * CSV の値をエスケープ（区切り文字・改行・ダブルクォートを含む値は囲む）
+     * @param {string|number} value - 値
+     * @returns {string} エスケープした値
+     */
+    escapeCsvValue(value) {
+        if (typeof value === 'number') {
+            return String(value);
+        }
+        const text = this.neutralizeFormula(String(value));
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * 数式として解釈される文字列の先頭に ' を付ける
+     * @param {string} text - 文字列
+     * @returns {string} 無効化した文字列
+     */
+    neutralizeFormula(text) {
+        return this.FORMULA_PREFIXES.includes(text.charAt(0)) ? `'${text}` : text;
+    }
+
+    // ===================================
+    // XLSX
+    // ===================================
+
+    /**
+     * サブスク一覧を XLSX に変換
+     * 「一覧」シートに全件、カテゴリごとのシートに小計行付きの明細、「カテゴリ別集計」シートに件数と合計を出力する
+     * @param {Array} subscriptions - サブスクリプション配列（この順で書き出す）
+     * @returns {Uint8Array} XLSX ファイルの内容
+     */
+    toXlsx(subscriptions) {
+        const columns = this.getColumns();
+        const header = columns.map(column => column.label);
+        const monthlyIndex = columns.findIndex(column => column.key === 'monthly');
+        const yearlyIndex = columns.findIndex(column => column.key === 'yearly');
+        const round = (amount) => calculator.roundAmount(amount, calculator.baseCurrency);
+
+        const sheets = [{ name: '一覧', rows: [header, ...this.toRows(subscriptions)] }];
+
+        const categories = [...new Set(subscriptions.map(sub => sub.category))];
+        const summaryRows = [];
+        categories.forEach(category => {
+            const rows = this.toRows(subscriptions.filter(sub => sub.category === category));
+            const monthly = round(rows.reduce((sum, row) => sum + row[monthlyIndex], 0));
+            const yearly = round(rows.reduce((sum, row) => sum + row[yearlyIndex], 0));
+
+            const subtotal = header.map(() => '');
+            subtotal[0] = '小計';
+            subtotal[monthlyIndex] = monthly;
+            subtotal[yearlyIndex] = yearly;
+
+            sheets.push({ name: category, rows: [header, ...rows, subtotal], boldRows: [rows.length + 1] });
+            summaryRows.push([category, rows.length, monthly, yearly]);
+        });
+
+        const total = ['合計', subscriptions.length,
+            round(summaryRows.reduce((sum, row) => sum + row[2], 0)),
+            round(summaryRows.reduce((sum, row) => sum + row[3], 0))];
+        sheets.push({
+            name: 'カテゴリ別集計',
+            rows: [['カテゴリ', '件数', header[monthlyIndex], header[yearlyIndex]], ...summaryRows, total],
+            boldRows: [summaryRows.length + 1]
+        });
+
+        return this.createWorkbook(sheets);
+    }
+
+    /**
+     * シートの一覧から XLSX ファイルを作成
+     * @param {Array} sheets - [{ name, rows, boldRows? }]（1行目は見出しとして太字にする）
+     * @returns {Uint8Array} XLSX ファイルの内容
+     */
+    createWorkbook(sheets) {
+        const names = this.getSheetNames(sheets.map(sheet => sheet.name));
+        const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: xml + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                    + '<Default Extension="xml" ContentType="application/xml"/>'
+                    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                    + sheets.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+                    + '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                    + '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: xml + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>'
+                    + names.map((name, index) => `<sheet name="${this.escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')
+                    + '</sheets></workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                    + sheets.map((_, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('')
+                    + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+                    + '</Relationships>'
+            },
+            {
+                // スタイル 0: 標準 / 1: 太字（見出し・小計）
+                name: 'xl/styles.xml',
+                content: xml + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+                    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+                    + '</styleSheet>'
+            },
+            ...sheets.map((sheet, index) => ({
+                name: `xl/worksheets/sheet${index + 1}.xml`,
+                content: xml + this.createSheetXml(sheet.rows, [0, ...(sheet.boldRows || [])])
+            }))
+        ];
+
+        return this.createZip(files);
+    }
+
+    /**
+     * シートの XML を作成（文字列はインライン文字列として埋め込む）
+     * @param {Array} rows - 行ごとの値の配列
+     * @param {Array} boldRows - 太字にする行の位置
+     * @returns {string} XML
+     */
+    createSheetXml(rows, boldRows) {
+        const body = rows.map((values, rowIndex) => {
+            const style = boldRows.includes(rowIndex) ? ' s="1"' : '';
+            const cells = values.map((value, columnIndex) => {
+                const ref = this.getColumnName(columnIndex) + (rowIndex + 1);
+                if (value === '') {
+                    return '';
+                }
+                if (typeof value === 'number') {
+                    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                }
+                return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(String(value))}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        return '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            + `<sheetData>${body}</sheetData></worksheet>`;
+    }
+
+    /**
+     * シート名を Excel の制約（使えない文字・31文字まで・重複なし）に合わせる
+     * @param {Array} names - シート名
+     * @returns {Array} 調整したシート名
+     */
+    getSheetNames(names) {
+        const used = new Set();
+        return names.map(name => {
+            const base = (String(name || '').replace(this.SHEET_NAME_INVALID, '_').trim() || 'シート')
+                .slice(0, this.SHEET_NAME_MAX_LENGTH);
+            let result = base;
+            for (let count = 2; used.has(result.toLowerCase()); count++) {
+                const suffix = ` (${count})`;
+                result = base.slice(0, this.SHEET_NAME_MAX_LENGTH - suffix.length) + suffix;
+            }
+            used.add(result.toLowerCase());
+            return result;
+        });
+    }
+
+    /**
+     * 列番号を列名に変換（0 → A、26 → AA）
+     * @param {number} index - 列番号
+     * @returns {string} 列名
+     */
+    getColumnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    /**
+     * XML の特殊文字と、XML で使えない制御文字を取り除いてエスケープ
+     * @param {string} text - テキスト
+     * @returns {string} エスケープしたテキスト
+     */
+    escapeXml(text) {
+        return text
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ===================================
+    // ZIP
+    // ===================================
+
+    /**
+     * ファイルを無圧縮の ZIP にまとめる
+     * @param {Array} files - [{ name, content }]（content は文字列。UTF-8 で格納する）
+     * @returns {Uint8Array} ZIP ファイルの内容
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            // ローカルファイルヘッダー（バージョン 2.0、UTF-8 のファイル名、無圧縮）
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            // セントラルディレクトリのエントリ
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * CRC-32 を計算
+     * @param {Uint8Array} data - データ
+     * @returns {number} CRC-32（符号なし32ビット整数）
+     */
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// グローバルインスタンスを作成
+const tableExporter = new TableExporter();
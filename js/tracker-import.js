@@ -0,0 +1,419 @@
+/**
+ * SubscMan - 他のアプリからの移行モジュール
+ * 他のサブスク管理アプリの書き出しファイルや表計算のテンプレートを読み込み、SubscMan のサブスクに変換する
+ * 形式ごとの違い（列名・状態の表し方）は registerParser で登録するパーサーにまとめ、
+ * 金額・支払いサイクル・カテゴリの読み替えはすべての形式で共通の処理を使う
+ */
+
+class TrackerImporter {
+    constructor() {
+        // 他のアプリのカテゴリ名の読み替え（SubscMan のカテゴリに一致しないものに使う。英語は単語単位、日本語は名前に含まれるかで判定）
+        this.CATEGORY_ALIASES = {
+            'AI': ['ai', '人工知能'],
+            'エンタメ': ['entertainment', 'streaming', 'video', 'music', 'game', 'games', 'gaming', 'media', 'news', 'エンターテイメント', '動画', '音楽', 'ゲーム'],
+            '仕事': ['work', 'business', 'productivity', 'software', 'developer', 'development', 'tools', '仕事効率化', 'ビジネス', '開発'],
+            '教育': ['education', 'learning', 'books', 'reading', '学習', '勉強', '書籍'],
+            '生活': ['utilities', 'utility', 'home', 'health', 'fitness', 'lifestyle', 'storage', 'cloud', 'phone', 'mobile', 'internet', 'insurance', 'food', '通信', '健康', '光熱費', '保険']
+        };
+
+        // 支払いサイクルの名前と請求間隔（小文字・全角半角を揃えた名前で判定）
+        this.CYCLE_NAMES = {
+            '週払い': { unit: 'week', count: 1 },
+            '毎週': { unit: 'week', count: 1 },
+            'weekly': { unit: 'week', count: 1 },
+            'biweekly': { unit: 'week', count: 2 },
+            'bi-weekly': { unit: 'week', count: 2 },
+            'fortnightly': { unit: 'week', count: 2 },
+            '月払い': { unit: 'month', count: 1 },
+            '毎月': { unit: 'month', count: 1 },
+            '月額': { unit: 'month', count: 1 },
+            'monthly': { unit: 'month', count: 1 },
+            '四半期払い': { unit: 'month', count: 3 },
+            'quarterly': { unit: 'month', count: 3 },
+            '半年払い': { unit: 'month', count: 6 },
+            'semiannually': { unit: 'month', count: 6 },
+            'semi-annually': { unit: 'month', count: 6 },
+            'half-yearly': { unit: 'month', count: 6 },
+            '年払い': { unit: 'year', count: 1 },
+            '毎年': { unit: 'year', count: 1 },
+            '年額': { unit: 'year', count: 1 },
+            'yearly': { unit: 'year', count: 1 },
+            'annually': { unit: 'year', count: 1 },
+            'annual': { unit: 'year', count: 1 },
+            'daily': { unit: 'day', count: 1 }
+        };
+
+        // 「3ヶ月ごと」「Every 2 Weeks」など間隔を数で表すサイクルの単位
+        this.CYCLE_UNITS = {
+            day: ['日', 'day', 'days'],
+            week: ['週', '週間', 'week', 'weeks'],
+            month: ['ヶ月', 'か月', 'カ月', '箇月', 'month', 'months'],
+            year: ['年', 'year', 'years']
+        };
+
+        // 解約済み・無効を表す状態の値（該当する行は取り込まない）
+        this.INACTIVE_VALUES = ['no', 'false', '0', 'disabled', 'inactive', 'cancelled', 'canceled', 'paused', '解約済み', '無効', '停止'];
+
+        // 通貨記号と通貨コード（金額に記号だけが付いている場合に使う）
+        this.CURRENCY_SYMBOLS = [['CN¥', 'CNY'], ['A$', 'AUD'], ['C$', 'CAD'], ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['₩', 'KRW'], ['¥', 'JPY'], ['円', 'JPY']];
+
+        // 登録済みのパーサー（自動判別はこの順に試す）
+        this.parsers = [];
+
+        // SubscMan のテンプレート（一覧の書き出しの CSV もそのまま読み込める）
+        this.registerParser({
+            id: 'subscman',
+            label: 'SubscMan テンプレート・一覧の書き出し',
+            signature: ['サービス名'],
+            columns: {
+                service_name: ['サービス名'],
+                amount: ['元の金額', '金額'],
+                currency: ['通貨'],
+                cycle: ['支払いサイクル'],
+                category: ['カテゴリ'],
+                start_date: ['開始日'],
+                next_billing_date: ['次回請求日'],
+                memo: ['メモ'],
+                status: ['状態']
+            }
+        });
+
+        // Wallos（セルフホストのサブスク管理アプリ）の書き出し（CSV・JSON）
+        this.registerParser({
+            id: 'wallos',
+            label: 'Wallos',
+            signature: ['payment cycle', 'next payment'],
+            columns: {
+                service_name: ['name'],
+                amount: ['price'],
+                currency: ['currency'],
+                cycle: ['payment cycle'],
+                category: ['category'],
+                start_date: ['start date'],
+                next_billing_date: ['next payment'],
+                memo: ['notes'],
+                status: ['active', 'state']
+            }
+        });
+
+        // TrackMySubs の書き出し（CSV）
+        this.registerParser({
+            id: 'trackmysubs',
+            label: 'TrackMySubs',
+            signature: ['billing cycle', 'folder'],
+            columns: {
+                service_name: ['name', 'subscription'],
+                amount: ['amount', 'cost', 'price'],
+                currency: ['currency'],
+                cycle: ['billing cycle', 'cycle'],
+                cycle_count: ['frequency', 'every'],
+                category: ['folder', 'category'],
+                start_date: ['start date'],
+                next_billing_date: ['next payment date', 'next bill date', 'next due date'],
+                memo: ['notes', 'description'],
+                status: ['status']
+            }
+        });
+    }
+
+    // ===================================
+    // パーサー
+    // ===================================
+
+    /**
+     * 読み込める形式を追加
+     * @param {Object} parser - { id, label, signature, columns, isInactive? }
+     *   signature: 自動判別に使う列名（すべてある場合にこの形式とみなす）
+     *   columns: 項目ごとの列名の候補（service_name / amount は必須。
+     *     ほかに currency / cycle / cycle_count / category / start_date / next_billing_date / memo / status）
+     *   isInactive: 状態の値から解約済みかを判定する関数（省略時は INACTIVE_VALUES で判定）
+     */
+    registerParser(parser) {
+        this.parsers = [...this.parsers.filter(p => p.id !== parser.id), parser];
+    }
+
+    /**
+     * IDでパーサーを取得
+     * @param {string} id - パーサーのID
+     * @returns {Object|null}
+     */
+    getParser(id) {
+        return this.parsers.find(parser => parser.id === id) || null;
+    }
+
+    /**
+     * 表の見出しから形式を自動判別
+     * @param {Object} table - readTable の結果
+     * @returns {Object|null} パーサー（判別できない場合は null）
+     */
+    detectParser(table) {
+        const headers = table.headers.map(header => this.normalize(header));
+        return this.parsers.find(parser =>
+            parser.signature.every(name => headers.includes(this.normalize(name)))
+        ) || null;
+    }
+
+    // ===================================
+    // ファイルの読み込み
+    // ===================================
+
+    /**
+     * ファイルの内容を見出しと行の表に変換（CSV、またはオブジェクトの配列のJSON）
+     * @param {ArrayBuffer} buffer - ファイルの内容
+     * @param {string} filename - ファイル名（拡張子で JSON かを判定）
+     * @returns {Object} { headers, rows }（rows は見出しと同じ順の値の配列）
+     * @throws {Error} 読み込めない場合（message は表示用）
+     */
+    readTable(buffer, filename) {
+        const text = statementImporter.decode(buffer);
+        const trimmed = text.trim();
+
+        if (/\.json$/i.test(filename) || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error('JSONファイルとして読み込めません');
+            }
+            const records = Array.isArray(data) ? data : (data.subscriptions || data.data);
+            if (!Array.isArray(records)) {
+                throw new Error('サブスクの一覧が見つかりません');
+            }
+
+            const objects = records.filter(record => record && typeof record === 'object');
+            const headers = [...new Set(objects.flatMap(record => Object.keys(record)))];
+            return {
+                headers,
+                rows: objects.map(record => headers.map(header => {
+                    const value = record[header];
+                    return value === undefined || value === null ? '' : String(value).trim();
+                }))
+            };
+        }
+
+        const [headers = [], ...rows] = statementImporter.parseCsv(text);
+        if (rows.length === 0) {
+            throw new Error('データの行がありません');
+        }
+        return { headers, rows };
+    }
+
+    // ===================================
+    // 変換
+    // ===================================
+
+    /**
+     * 表の各行をサブスクに変換
+     * 取り込めない行（必須項目がない・読み替えられない・解約済み・subscriptionSchema に合わない・登録済み）は理由とともに skipped に入れる
+     * @param {Object} table - readTable の結果
+     * @param {Object} parser - パーサー
+     * @param {Array} subscriptions - 登録済みのサブスク（同じものは取り込まない）
+     * @returns {Object} { drafts: [{ index, data }], skipped: [{ index, name, reason }], missing }
+     *   index は何件目のデータか（1から）、missing は必須の列が見つからない場合の列の項目名
+     */
+    convert(table, parser, subscriptions = []) {
+        const columns = this.findColumns(table.headers, parser.columns);
+        const missing = ['service_name', 'amount'].filter(field => columns[field] === -1);
+        if (missing.length > 0) {
+            return { drafts: [], skipped: [], missing };
+        }
+
+        const registered = new Set(subscriptions.map(sub => storage.getMergeKey(sub)));
+        const drafts = [];
+        const skipped = [];
+
+        table.rows.forEach((values, rowIndex) => {
+            const index = rowIndex + 1;
+            // 一覧の書き出しで数式の無効化のために付けた先頭の ' は外す
+            const get = (field) => columns[field] !== undefined && columns[field] !== -1
+                ? (values[columns[field]] || '').replace(/^'(?=[=+\-@])/, '')
+                : '';
+            const name = get('service_name');
+            const skip = (reason) => skipped.push({ index, name, reason });
+
+            if (!name) {
+                skip('サービス名がありません');
+                return;
+            }
+            const isInactive = parser.isInactive || ((status) => this.INACTIVE_VALUES.includes(this.normalize(status)));
+            if (get('status') && isInactive(get('status'))) {
+                skip(`解約済み・無効のため取り込みません（${get('status')}）`);
+                return;
+            }
+
+            const price = this.parsePrice(get('amount'), get('currency'));
+            if (!price.amount) {
+                skip(`金額を読み取れません（${get('amount') || '空欄'}）`);
+                return;
+            }
+            if (!currencyRegistry.has(price.currency)) {
+                skip(`未対応の通貨です（${price.currency}）`);
+                return;
+            }
+
+            const cycle = this.mapCycle(get('cycle'), get('cycle_count'));
+            if (!cycle) {
+                skip(`支払いサイクルを読み替えられません（${get('cycle')}）`);
+                return;
+            }
+
+            const data = {
+                service_name: name,
+                amount_original: price.amount,
+                currency: price.currency,
+                ...cycle,
+                category: this.mapCategory(get('category'), name),
+                start_date: statementImporter.parseDate(get('start_date')),
+                next_billing_date: statementImporter.parseDate(get('next_billing_date')),
+                memo: get('memo')
+            };
+
+            // 読み替えた内容も保存時と同じスキーマで検証する
+            const errors = subscriptionSchema.validate(data);
+            if (errors.length > 0) {
+                skip(errors.map(error => error.message).join('、'));
+                return;
+            }
+
+            const key = storage.getMergeKey(data);
+            if (registered.has(key)) {
+                skip('同じサブスクが登録済み、またはファイル内で重複しています');
+                return;
+            }
+            registered.add(key);
+            drafts.push({ index, data });
+        });
+
+        return { drafts, skipped, missing: [] };
+    }
+
+    /**
+     * 項目ごとに、見出しから列の位置を探す
+     * @param {Array} headers - 見出し
+     * @param {Object} columns - 項目ごとの列名の候補
+     * @returns {Object} 項目ごとの列の位置（見つからない場合は -1）
+     */
+    findColumns(headers, columns) {
+        const normalized = headers.map(header => this.normalize(header));
+        const result = {};
+        Object.entries(columns).forEach(([field, candidates]) => {
+            const match = candidates.map(name => normalized.indexOf(this.normalize(name))).find(index => index !== -1);
+            result[field] = match === undefined ? -1 : match;
+        });
+        return result;
+    }
+
+    /**
+     * 金額と通貨を読み取る（「$9.99」「9,99 €」「1,200円」「USD 10」などに対応）
+     * 通貨の列がなく金額にも記号・コードがない場合は円とみなす
+     * @param {string} amountText - 金額
+     * @param {string} currencyText - 通貨（コードまたは記号。空欄可）
+     * @returns {Object} { amount, currency }（amount は読み取れない・0以下の場合 null）
+     */
+    parsePrice(amountText, currencyText) {
+        const text = amountText.normalize('NFKC').trim();
+        const detect = (value) => {
+            const code = value.toUpperCase().match(/\b[A-Z]{3}\b/);
+            if (code) {
+                return code[0];
+            }
+            const symbol = this.CURRENCY_SYMBOLS.find(([mark]) => value.includes(mark));
+            return symbol ? symbol[1] : null;
+        };
+        const currency = detect(currencyText.normalize('NFKC').trim()) || detect(text) || 'JPY';
+
+        // 数字・区切りだけを残し、小数点がカンマの形式（9,99）にも対応
+        let number = text.replace(/[^\d.,-]/g, '');
+        if (/^-?\d+,\d{1,2}$/.test(number)) {
+            number = number.replace(',', '.');
+        }
+        const amount = parseFloat(number.replace(/,/g, ''));
+        return { amount: Number.isFinite(amount) && amount > 0 ? amount : null, currency };
+    }
+
+    /**
+     * 支払いサイクルを SubscMan の billing_cycle と billing_interval に読み替え
+     * プリセットと同じ間隔はプリセットに、それ以外はカスタムにする
+     * @param {string} text - 支払いサイクル（例：'Monthly', 'Every 3 Months', '2週ごと'。空欄は月払い）
+     * @param {string} countText - 間隔の数が別の列にある場合の値（例：TrackMySubs の Frequency）
+     * @returns {Object|null} { billing_cycle, billing_interval }（読み替えられない場合は null）
+     */
+    mapCycle(text, countText = '') {
+        const value = this.normalize(text);
+        const count = parseInt(countText, 10) || 1;
+
+        let interval = null;
+        if (!value) {
+            interval = { unit: 'month', count: 1 };
+        } else if (this.CYCLE_NAMES[value]) {
+            interval = { ...this.CYCLE_NAMES[value] };
+            interval.count *= count;
+        } else {
+            const match = value.match(/(\d+)\s*([^\d\s]+)/);
+            const unit = match && Object.keys(this.CYCLE_UNITS).find(key => this.CYCLE_UNITS[key].some(name => match[2].startsWith(name)));
+            if (unit) {
+                interval = { unit, count: parseInt(match[1], 10) };
+            }
+        }
+        if (!interval || interval.count < 1) {
+            return null;
+        }
+
+        const preset = Object.entries(calculator.BILLING_CYCLES)
+            .find(([, cycle]) => cycle.unit === interval.unit && cycle.count === interval.count);
+        return {
+            billing_cycle: preset ? preset[0] : calculator.CUSTOM_CYCLE,
+            billing_interval: interval
+        };
+    }
+
+    /**
+     * カテゴリを SubscMan のカテゴリに読み替え
+     * @param {string} text - 元のカテゴリ
+     * @param {string} serviceName - サービス名（カテゴリがない・読み替えられない場合の推定に使う）
+     * @returns {string} カテゴリ
+     */
+    mapCategory(text, serviceName) {
+        if (subscriptionSchema.CATEGORIES.includes(text)) {
+            return text;
+        }
+        const value = this.normalize(text);
+        const words = value.split(/[^\p{L}\p{N}]+/u);
+        const alias = Object.entries(this.CATEGORY_ALIASES).find(([category, names]) =>
+            value === this.normalize(category)
+            || names.some(name => /^[a-z]+$/.test(name) ? words.includes(name) : value.includes(name))
+        );
+        return alias ? alias[0] : statementImporter.guessCategory(serviceName);
+    }
+
+    /**
+     * 列名・値の比較用に、全角半角・大文字小文字・前後の空白を揃える
+     * @param {string} text - 文字列
+     * @returns {string} 正規化した文字列
+     */
+    normalize(text) {
+        return String(text || '').normalize('NFKC').trim().toLowerCase();
+    }
+
+    // ===================================
+    // テンプレート
+    // ===================================
+
+    /**
+     * 表計算ソフトで入力するためのテンプレート（BOM付きCSV）を作成
+     * @returns {string} CSV
+     */
+    createTemplate() {
+        const headers = ['サービス名', '元の金額', '通貨', '支払いサイクル', 'カテゴリ', '開始日', '次回請求日', 'メモ'];
+        const examples = [
+            ['Netflix', '1490', 'JPY', '月払い', 'エンタメ', '2024-01-15', '', ''],
+            ['ChatGPT Plus', '20', 'USD', '月払い', 'AI', '', '', '仕事用'],
+            ['Adobe Creative Cloud', '86880', 'JPY', '年払い', '仕事', '', '', ''],
+            ['英会話レッスン', '3000', 'JPY', '2週ごと', '教育', '', '', '']
+        ];
+        return '\uFEFF' + [headers, ...examples].map(values => values.join(',')).join('\r\n') + '\r\n';
+    }
+}
+
+// グローバルインスタンスを作成
+const trackerImporter = new TrackerImporter();
@@ -6,9 +6,67 @@
 class SubscManUI {
     constructor() {
         this.chart = null;
+        this.forecastChart = null;
+        this.rateHistoryChart = null;
+        this.savingsChart = null;
+        this.mergePlan = null;
+        this.refreshQueue = Promise.resolve();
+
+        // APIキーのロック解除後に続ける処理
+        this.afterApiUnlock = null;
+
+        // 内容に誤りがあり修正するサブスク（修正中のものと、その後に続けるもの）
+        // { sub, source: 'device'（同期時に修正を選んだ端末内のもの）| 'cloud'（クラウドから読み込んだもの） }
+        this.repairing = null;
+        this.repairQueue = [];
+
+        // 支払い予定で強調表示する月数
+        this.FORECAST_PEAK_COUNT = 3;
         this.currentSort = { column: 'monthly', direction: 'desc' };
         this.currentFilters = { category: '', cycle: '' };
 
+        // サブスクフォームでエラーを表示する入力欄（subscriptionSchema の項目名 → 要素のID）
+        this.FORM_FIELD_INPUTS = {
+            service_name: 'service-name',
+            amount_original: 'amount-original',
+            currency: 'currency',
+            fx_fee_percent: 'fx-fee-percent',
+            tax_rate: 'tax-rate',
+            billing_cycle: 'billing-cycle',
+            billing_interval: 'interval-count',
+            category: 'category',
+            start_date: 'start-date',
+            next_billing_date: 'next-billing-date',
+            trial_end_date: 'trial-end-date',
+            price_schedule: 'price-schedule-list',
+            memo: 'memo'
+        };
+
+        // 解約フォームでエラーを表示する入力欄
+        this.CANCEL_FIELD_INPUTS = {
+            cancel_date: 'cancel-date'
+        };
+
+        // 読み込みのエラーを表示する件数
+        this.DATA_ERROR_LIMIT = 5;
+
+        // ローカルデータの同期で比べる項目の表示名
+        this.MERGE_FIELD_LABELS = {
+            amount_original: '金額',
+            category: 'カテゴリ',
+            start_date: '開始日',
+            next_billing_date: '次回請求日',
+            is_trial: '無料トライアル',
+            trial_end_date: 'トライアル終了日',
+            price_schedule: 'プロモ・段階料金',
+            fx_fee_percent: '海外事務手数料',
+            tax_excluded: '税抜価格で入力',
+            tax_rate: '消費税率',
+            is_active: '状態',
+            cancel_date: '利用終了日',
+            memo: 'メモ'
+        };
+
         // カテゴリ別の色
         this.categoryColors = {
             'エンタメ': '#ec4899',
@@ -34,9 +92,42 @@ class SubscManUI {
         const totalYearly = calculator.getTotalYearly(subscriptions);
         const totalCount = subscriptions.length;
 
-        document.getElementById('total-monthly').textContent = calculator.formatJPY(totalMonthly);
-        document.getElementById('total-yearly').textContent = calculator.formatJPY(totalYearly);
+        document.getElementById('total-monthly').textContent = calculator.formatBase(totalMonthly);
+        document.getElementById('total-yearly').textContent = calculator.formatBase(totalYearly);
         document.getElementById('total-count').textContent = totalCount + '件';
+
+        // 直近のプロモ終了・段階料金の値上がり
+        const stepUp = calculator.getUpcomingStepUps(calculator.getPayingSubscriptions(subscriptions))[0];
+        const stepUpNote = document.getElementById('monthly-step-up');
+        stepUpNote.hidden = !stepUp;
+        if (stepUp) {
+            stepUpNote.textContent = `${this.formatDate(calculator.toDateString(stepUp.date))}から +${calculator.formatBase(stepUp.after - stepUp.before)}/月（${stepUp.subscription.service_name}）`;
+        }
+
+        // 累計支払額は解約済みを含む全サブスクが対象
+        const allSubscriptions = await storage.getSubscriptions(false);
+        document.getElementById('total-lifetime').textContent =
+            calculator.formatBase(calculator.getTotalLifetimeSpend(allSubscriptions));
+
+        this.updateTrialsPanel(subscriptions);
+    }
+
+    /**
+     * 無料トライアルのパネルを更新（終了日の近い順、トライアルがなければ非表示）
+     * @param {Array} subscriptions - アクティブなサブスクリプション配列
+     */
+    updateTrialsPanel(subscriptions) {
+        const trials = calculator.getTrials(subscriptions);
+        document.getElementById('trials-panel').hidden = trials.length === 0;
+
+        document.getElementById('trial-list').innerHTML = trials.map(({ subscription, endDate, daysLeft, endingSoon }) => {
+            const dateStr = calculator.toDateString(endDate);
+            return `<li class="${endingSoon ? 'ending-soon' : ''}">
+                <span class="trial-name">${this.escapeHtml(subscription.service_name)}</span>
+                <span class="trial-days">あと${daysLeft}日</span>
+                <span class="trial-cost">${this.formatDate(dateStr)}から ${calculator.formatOriginalAmount(subscription.amount_original, subscription.currency)}（${calculator.getCycleLabel(subscription)}）</span>
+            </li>`;
+        }).join('');
     }
 
     /**
@@ -108,7 +199,7 @@ class SubscManUI {
                                 const value = context.raw;
                                 const total = context.dataset.data.reduce((a, b) => a + b, 0);
                                 const percentage = Math.round((value / total) * 100);
-                                return `${context.label}: ¥${value.toLocaleString()} (${percentage}%)`;
+                                return `${context.label}: ${calculator.formatBase(value)} (${percentage}%)`;
                             }
                         }
                     }
@@ -122,27 +213,204 @@ class SubscManUI {
             const color = colors[index];
             return `<div class="legend-item">
                 <span class="legend-color" style="background-color: ${color}"></span>
-                <span>${label}: ${calculator.formatJPY(value)}</span>
+                <span>${label}: ${calculator.formatBase(value)}</span>
             </div>`;
         }).join('');
 
         document.getElementById('chart-legend').innerHTML = legendHtml;
     }
 
+    /**
+     * 今後12ヶ月の支払い予定グラフを更新
+     */
+    async updateForecastChart() {
+        const subscriptions = await storage.getSubscriptions(true);
+        const forecast = calculator.getMonthlyForecast(subscriptions, 12);
+
+        // 支払いのある月のうち、金額の大きい上位の月を強調
+        const peaks = forecast
+            .filter(m => m.total > 0)
+            .sort((a, b) => b.total - a.total)
+            .slice(0, this.FORECAST_PEAK_COUNT);
+        const colors = forecast.map(m => peaks.includes(m) ? '#f59e0b' : '#3b82f6');
+
+        const ctx = document.getElementById('forecast-chart').getContext('2d');
+
+        if (this.forecastChart) {
+            this.forecastChart.destroy();
+        }
+
+        this.forecastChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: forecast.map(m => `${m.month}月`),
+                datasets: [{
+                    data: forecast.map(m => m.total),
+                    backgroundColor: colors,
+                    borderRadius: 4
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            title: function (items) {
+                                const m = forecast[items[0].dataIndex];
+                                return `${m.year}年${m.month}月`;
+                            },
+                            label: function (context) {
+                                return `合計: ${calculator.formatBase(context.raw)}`;
+                            },
+                            afterBody: function (items) {
+                                return forecast[items[0].dataIndex].charges.map(c =>
+                                    `${c.date.getDate()}日 ${c.subscription.service_name}: ${calculator.formatBase(c.amount)}`
+                                );
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            callback: (value) => calculator.formatBase(value)
+                        }
+                    }
+                }
+            }
+        });
+
+        // 支出の多い月と、予定に含まれないサブスクを表示
+        const unscheduled = subscriptions.filter(sub => !sub.next_billing_date && !sub.start_date);
+        let summaryHtml = peaks.map(m => {
+            const names = [...new Set(m.charges.map(c => c.subscription.service_name))].join('、');
+            return `<div class="forecast-peak">
+                <span>⚠️ ${m.year}年${m.month}月（${this.escapeHtml(names)}）</span>
+                <span class="forecast-peak-amount">${calculator.formatBase(m.total)}</span>
+            </div>`;
+        }).join('');
+
+        if (unscheduled.length > 0) {
+            summaryHtml += `<p class="forecast-note">次回請求日・開始日が未設定の${unscheduled.length}件は含まれていません</p>`;
+        }
+        if (subscriptions.length === 0) {
+            summaryHtml = '<p class="forecast-note">データがありません</p>';
+        }
+
+        document.getElementById('forecast-summary').innerHTML = summaryHtml;
+    }
+
+    /**
+     * 解約による節約の実績（累計額と推移グラフ）を更新
+     * 利用終了日を過ぎた解約がなければ非表示
+     */
+    async updateSavingsChart() {
+        const subscriptions = await storage.getSubscriptions(false);
+        const monthlySavings = calculator.getMonthlySavings(subscriptions);
+        const cancelledCount = subscriptions.filter(sub => calculator.isSavingsTarget(sub)).length;
+
+        document.getElementById('savings-section').hidden = cancelledCount === 0;
+        if (cancelledCount === 0) {
+            return;
+        }
+
+        const history = calculator.getSavingsHistory(subscriptions, 12);
+        document.getElementById('total-savings').textContent =
+            calculator.formatBase(calculator.getRealizedSavings(subscriptions));
+        document.getElementById('savings-note').textContent =
+            `${cancelledCount}件の解約で 月 ${calculator.formatBase(monthlySavings)} / 年 ${calculator.formatBase(monthlySavings * 12)} の節約`;
+
+        const ctx = document.getElementById('savings-chart').getContext('2d');
+
+        if (this.savingsChart) {
+            this.savingsChart.destroy();
+        }
+
+        this.savingsChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: history.map(m => `${m.month}月`),
+                datasets: [{
+                    data: history.map(m => m.total),
+                    borderColor: '#10b981',
+                    backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                    fill: true,
+                    tension: 0.3,
+                    pointRadius: 3
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            title: function (items) {
+                                const m = history[items[0].dataIndex];
+                                return `${m.year}年${m.month}月末`;
+                            },
+                            label: function (context) {
+                                return `累計: ${calculator.formatBase(context.raw)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            callback: (value) => calculator.formatBase(value)
+                        }
+                    }
+                }
+            }
+        });
+    }
+
     /**
      * サブスク一覧テーブルを更新
      */
     async updateSubscriptionTable() {
-        const subscriptions = await storage.getSubscriptions(true);
+        const filtered = this.getTableSubscriptions(await storage.getSubscriptions(true));
         const tbody = document.getElementById('subscription-tbody');
         const emptyState = document.getElementById('empty-state');
 
-        // フィルタリング
-        let filtered = subscriptions.filter(sub => {
+        // 空状態の表示制御
+        if (filtered.length === 0) {
+            tbody.innerHTML = '';
+            emptyState.classList.add('visible');
+            return;
+        } else {
+            emptyState.classList.remove('visible');
+        }
+
+        // テーブル行を生成
+        tbody.innerHTML = filtered.map(sub => this.createTableRow(sub)).join('');
+
+        // 編集・削除ボタンのイベントを設定
+        this.attachTableEventListeners();
+    }
+
+    /**
+     * サブスク一覧テーブルに表示する順に、フィルター・ソートを適用
+     * @param {Array} subscriptions - サブスクリプション配列
+     * @returns {Array} 表示するサブスク（現在の適用価格での月額 current_monthly と累計支払額 lifetime_spend を付与）
+     */
+    getTableSubscriptions(subscriptions) {
+        // フィルタリング（現在の適用価格での月額と累計支払額は表示・ソート用に付与）
+        let filtered = subscriptions.map(sub => ({
+            ...sub,
+            current_monthly: calculator.getCurrentMonthly(sub),
+            lifetime_spend: calculator.getLifetimeSpend(sub)
+        })).filter(sub => {
             if (this.currentFilters.category && sub.category !== this.currentFilters.category) {
                 return false;
             }
-            if (this.currentFilters.cycle && sub.billing_cycle !== this.currentFilters.cycle) {
+            if (this.currentFilters.cycle && calculator.getCycleKey(sub) !== this.currentFilters.cycle) {
                 return false;
             }
             return true;
@@ -153,11 +421,14 @@ class SubscManUI {
             let valueA, valueB;
 
             if (this.currentSort.column === 'monthly') {
-                valueA = a.amount_jpy_monthly;
-                valueB = b.amount_jpy_monthly;
+                valueA = a.current_monthly;
+                valueB = b.current_monthly;
             } else if (this.currentSort.column === 'original') {
                 valueA = a.amount_original;
                 valueB = b.amount_original;
+            } else if (this.currentSort.column === 'lifetime') {
+                valueA = a.lifetime_spend || 0;
+                valueB = b.lifetime_spend || 0;
             }
 
             if (this.currentSort.direction === 'desc') {
@@ -167,20 +438,7 @@ class SubscManUI {
             }
         });
 
-        // 空状態の表示制御
-        if (filtered.length === 0) {
-            tbody.innerHTML = '';
-            emptyState.classList.add('visible');
-            return;
-        } else {
-            emptyState.classList.remove('visible');
-        }
-
-        // テーブル行を生成
-        tbody.innerHTML = filtered.map(sub => this.createTableRow(sub)).join('');
-
-        // 編集・削除ボタンのイベントを設定
-        this.attachTableEventListeners();
+        return filtered;
     }
 
     /**
@@ -190,27 +448,57 @@ class SubscManUI {
      */
     createTableRow(sub) {
         const originalAmount = calculator.formatOriginalAmount(sub.amount_original, sub.currency);
-        const monthlyAmount = calculator.formatJPY(sub.amount_jpy_monthly);
+        const monthlyAmount = calculator.formatBase(sub.current_monthly);
+        // 手数料・税が上乗せされている場合は換算のみの金額も併記
+        const netNote = sub.amount_monthly_net !== undefined && sub.amount_monthly_net !== sub.amount_monthly
+            ? `<span class="amount-net">税・手数料前 ${calculator.formatBase(sub.amount_monthly_net * calculator.getPriceRatioAt(sub, new Date()))}</span>`
+            : '';
+        // プロモ・段階料金の適用中は期間と通常価格を併記
+        const scheduled = calculator.getScheduledPrice(sub, new Date());
+        const promoNote = scheduled
+            ? `<span class="promo-note">${scheduled.end_date ? `〜${this.formatDate(scheduled.end_date)}の特別価格（通常 ${calculator.formatBase(sub.amount_monthly)}/月）` : `${this.formatDate(scheduled.start_date)}からの価格`}</span>`
+            : '';
         const startDate = sub.start_date ? this.formatDate(sub.start_date) : '-';
+        const lifetimeSpend = sub.lifetime_spend !== null ? calculator.formatBase(sub.lifetime_spend) : '-';
         const nextBillingDate = sub.next_billing_date ? this.formatDate(sub.next_billing_date) : '-';
+        const cycleKey = calculator.getCycleKey(sub);
+        const cycleLabel = calculator.getCycleLabel(sub);
+        const increase = calculator.getRecentPriceIncrease(sub);
+        // トライアル中は合計に含めず、課金開始日とその後の金額を表示
+        const inTrial = calculator.isInTrial(sub);
+        const trialBadge = inTrial ? '<span class="trial-badge">トライアル</span>' : '';
+        const trialNote = inTrial ? `<span class="trial-note">${this.formatDate(sub.trial_end_date)}から</span>` : '';
+        const cancelBadge = sub.cancel_date
+            ? `<span class="cancel-badge" title="${this.escapeHtml(sub.cancel_reason || '')}">${this.formatDate(sub.cancel_date)}で解約予定</span>`
+            : '';
+        const increaseBadge = increase
+            ? `<span class="price-increase-badge" title="${this.formatDate(increase.date)}に ${calculator.formatOriginalAmount(increase.from, increase.fromCurrency)} → ${calculator.formatOriginalAmount(increase.to, increase.currency)}">↑値上げ +${increase.percent}%</span>`
+            : '';
 
         return `<tr data-id="${sub.id}">
             <td data-label="サービス名">
                 <span class="service-name">${this.escapeHtml(sub.service_name)}</span>
+                ${increaseBadge}
+                ${trialBadge}
+                ${cancelBadge}
             </td>
             <td data-label="元の金額">
                 <span class="amount-original">${originalAmount}</span>
             </td>
-            <td data-label="月額（円）">
+            <td data-label="月額（${calculator.baseCurrency}）">
+                ${trialNote}
                 <span class="amount-monthly">${monthlyAmount}</span>
+                ${promoNote}
+                ${netNote}
             </td>
             <td data-label="カテゴリ">
                 <span class="category-badge ${sub.category}">${sub.category}</span>
             </td>
             <td data-label="サイクル">
-                <span class="cycle-badge ${sub.billing_cycle}">${sub.billing_cycle}</span>
+                <span class="cycle-badge ${cycleKey}">${cycleLabel}</span>
             </td>
             <td data-label="開始日">${startDate}</td>
+            <td data-label="累計支払額">${lifetimeSpend}</td>
             <td data-label="次回請求日">${nextBillingDate}</td>
             <td data-label="アクション">
                 <div class="actions-cell">
@@ -220,6 +508,12 @@ class SubscManUI {
                             <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
                         </svg>
                     </button>
+                    <button class="btn btn-action cancel" data-id="${sub.id}" title="解約">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                            <circle cx="12" cy="12" r="10"/>
+                            <line x1="4.93" y1="4.93" x2="19.07" y2="19.07"/>
+                        </svg>
+                    </button>
                     <button class="btn btn-action delete" data-id="${sub.id}" title="削除">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                             <polyline points="3 6 5 6 21 6"/>
@@ -234,19 +528,29 @@ class SubscManUI {
     }
 
     /**
-     * テーブルの編集・削除ボタンにイベントリスナーを設定
+     * テーブルの編集・解約・削除ボタンにイベントリスナーを設定
      */
     attachTableEventListeners() {
+        const tbody = document.getElementById('subscription-tbody');
+
         // 編集ボタン
-        document.querySelectorAll('.btn-action.edit').forEach(btn => {
+        tbody.querySelectorAll('.btn-action.edit').forEach(btn => {
             btn.addEventListener('click', () => {
                 const id = btn.dataset.id;
                 this.openEditModal(id);
             });
         });
 
+        // 解約ボタン
+        tbody.querySelectorAll('.btn-action.cancel').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const id = btn.dataset.id;
+                this.openCancelModal(id);
+            });
+        });
+
         // 削除ボタン
-        document.querySelectorAll('.btn-action.delete').forEach(btn => {
+        tbody.querySelectorAll('.btn-action.delete').forEach(btn => {
             btn.addEventListener('click', () => {
                 const id = btn.dataset.id;
                 this.openDeleteConfirm(id);
@@ -254,16 +558,184 @@ class SubscManUI {
         });
     }
 
+    /**
+     * 解約済み（アーカイブ）一覧を更新（解約済みがなければセクションごと非表示）
+     */
+    async updateArchiveTable() {
+        const archived = await storage.getArchivedSubscriptions();
+        document.getElementById('archive-section').hidden = archived.length === 0;
+        document.getElementById('archive-count').textContent = `（${archived.length}件）`;
+
+        const tbody = document.getElementById('archive-tbody');
+        tbody.innerHTML = archived.map(sub => {
+            const status = calculator.isEnded(sub) || !sub.is_active ? '' : '<span class="cancel-badge">解約予定</span>';
+            return `<tr data-id="${sub.id}">
+                <td data-label="サービス名">
+                    <span class="service-name">${this.escapeHtml(sub.service_name)}</span>
+                    ${status}
+                </td>
+                <td data-label="月額（解約時）">${calculator.formatBase(sub.amount_monthly)}</td>
+                <td data-label="カテゴリ">
+                    <span class="category-badge ${sub.category}">${sub.category}</span>
+                </td>
+                <td data-label="利用終了日">${sub.cancel_date ? this.formatDate(sub.cancel_date) : '-'}</td>
+                <td data-label="解約理由">${this.escapeHtml(sub.cancel_reason || '-')}</td>
+                <td data-label="アクション">
+                    <div class="actions-cell">
+                        <button class="btn btn-secondary btn-sm reactivate" data-id="${sub.id}">再開する</button>
+                        <button class="btn btn-action delete" data-id="${sub.id}" title="削除">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <polyline points="3 6 5 6 21 6"/>
+                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                                <line x1="10" y1="11" x2="10" y2="17"/>
+                                <line x1="14" y1="11" x2="14" y2="17"/>
+                            </svg>
+                        </button>
+                    </div>
+                </td>
+            </tr>`;
+        }).join('');
+
+        tbody.querySelectorAll('.reactivate').forEach(btn => {
+            btn.addEventListener('click', () => this.handleReactivate(btn.dataset.id));
+        });
+        tbody.querySelectorAll('.btn-action.delete').forEach(btn => {
+            btn.addEventListener('click', () => this.openDeleteConfirm(btn.dataset.id));
+        });
+    }
+
+    /**
+     * ゴミ箱の一覧を更新（空ならセクションごと非表示）
+     */
+    async updateTrashTable() {
+        const trash = await storage.getTrash();
+        document.getElementById('trash-section').hidden = trash.length === 0;
+        document.getElementById('trash-count').textContent = `（${trash.length}件）`;
+
+        const tbody = document.getElementById('trash-tbody');
+        tbody.innerHTML = trash.map(sub => `<tr data-id="${sub.id}">
+                <td data-label="サービス名">
+                    <span class="service-name">${this.escapeHtml(sub.service_name)}</span>
+                </td>
+                <td data-label="月額">${calculator.formatBase(sub.amount_monthly)}</td>
+                <td data-label="削除日">${this.formatDate(sub.deleted_at)}</td>
+                <td data-label="完全に削除まで">あと${storage.getTrashDaysLeft(sub)}日</td>
+                <td data-label="アクション">
+                    <div class="actions-cell">
+                        <button class="btn btn-secondary btn-sm restore" data-id="${sub.id}">元に戻す</button>
+                        <button class="btn btn-action delete" data-id="${sub.id}" title="完全に削除">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <line x1="18" y1="6" x2="6" y2="18"/>
+                                <line x1="6" y1="6" x2="18" y2="18"/>
+                            </svg>
+                        </button>
+                    </div>
+                </td>
+            </tr>`).join('');
+
+        tbody.querySelectorAll('.restore').forEach(btn => {
+            btn.addEventListener('click', () => this.handleRestoreFromTrash(btn.dataset.id));
+        });
+        tbody.querySelectorAll('.btn-action.delete').forEach(btn => {
+            btn.addEventListener('click', () => this.handleDeleteFromTrash(btn.dataset.id));
+        });
+    }
+
+    /**
+     * ゴミ箱からサブスクを元に戻す
+     * @param {string} id - サブスクリプションID
+     */
+    async handleRestoreFromTrash(id) {
+        const result = await storage.restoreFromTrash(id);
+
+        if (result) {
+            this.showToast('サブスクを元に戻しました', 'success');
+        } else {
+            this.showToast('元に戻せませんでした', 'error');
+        }
+
+        await this.refreshAll();
+    }
+
+    /**
+     * ゴミ箱のサブスクを完全に削除
+     * @param {string} id - サブスクリプションID
+     */
+    async handleDeleteFromTrash(id) {
+        if (!confirm('完全に削除します。この操作は取り消せません。よろしいですか？')) {
+            return;
+        }
+
+        const result = await storage.deleteFromTrash(id);
+
+        if (result) {
+            this.showToast('完全に削除しました', 'success');
+        } else {
+            this.showToast('削除に失敗しました', 'error');
+        }
+
+        await this.refreshAll();
+    }
+
+    /**
+     * 解約済み・ゴミ箱の一覧の表示・非表示を切り替え
+     * @param {string} cardId - 一覧のカードのID
+     * @param {string} buttonId - 切り替えボタンのID
+     */
+    toggleListCard(cardId, buttonId) {
+        const card = document.getElementById(cardId);
+        card.hidden = !card.hidden;
+        document.getElementById(buttonId).textContent = card.hidden ? '表示する' : '隠す';
+    }
+
     /**
      * 全UIを更新
+     * 他の端末・タブからの変更で更新が重なってもグラフの描画が競合しないよう、前の更新が終わってから順に実行する
+     * @returns {Promise<void>}
+     */
+    refreshAll() {
+        const run = this.refreshQueue.then(() => this.renderAll());
+        this.refreshQueue = run.catch(error => console.error('Refresh error:', error));
+        return run;
+    }
+
+    /**
+     * 全UIを再描画
      */
-    async refreshAll() {
+    async renderAll() {
+        await this.applyBaseCurrency();
         await this.updateSummaryCards();
         await this.updateCategoryChart();
+        await this.updateForecastChart();
+        await this.updateSavingsChart();
         await this.updateSubscriptionTable();
+        this.updateInvalidNotice();
+        await this.updateArchiveTable();
+        await this.updateTrashTable();
         await this.updateExchangeRateDisplay();
     }
 
+    /**
+     * 設定の基準通貨を計算モジュールと表示に反映
+     * 描画のたびに呼ばれるため保存はしない（金額の再計算は基準通貨を変更したときに行う）
+     */
+    async applyBaseCurrency() {
+        const settings = await storage.getSettings();
+        calculator.applySettings(settings);
+        document.getElementById('monthly-column-label').textContent = `月額（${settings.base_currency}）`;
+    }
+
+    /**
+     * 通貨の選択肢を通貨レジストリから生成
+     */
+    populateCurrencyOptions() {
+        const options = currencyRegistry.getAll().map(c =>
+            `<option value="${c.code}">${c.code}（${c.name}）</option>`
+        ).join('');
+        document.getElementById('currency').innerHTML = options;
+        document.getElementById('base-currency').innerHTML = options;
+    }
+
     // ===================================
     // モーダル制御
     // ===================================
@@ -275,7 +747,13 @@ class SubscManUI {
         document.getElementById('modal-subscription-title').textContent = 'サブスクを追加';
         document.getElementById('form-subscription').reset();
         document.getElementById('edit-id').value = '';
+        this.repairing = null;
+        document.getElementById('price-history').hidden = true;
+        this.renderPriceSchedule([]);
+        this.toggleCustomInterval();
+        this.toggleTrialFields();
         this.updateFormPreview();
+        this.showFieldErrors([]);
         this.openModal('modal-subscription');
     }
 
@@ -292,17 +770,121 @@ class SubscManUI {
 
         document.getElementById('modal-subscription-title').textContent = 'サブスクを編集';
         document.getElementById('edit-id').value = id;
-        document.getElementById('service-name').value = sub.service_name;
-        document.getElementById('amount-original').value = sub.amount_original;
+        this.repairing = null;
+        this.fillSubscriptionForm(sub);
+        this.renderPriceHistory(sub);
+
+        this.updateFormPreview();
+        this.showFieldErrors([]);
+        this.openModal('modal-subscription');
+    }
+
+    /**
+     * サブスクフォームにサブスクの内容を入力
+     * @param {Object} sub - サブスクリプション
+     */
+    fillSubscriptionForm(sub) {
+        document.getElementById('service-name').value = sub.service_name || '';
+        document.getElementById('amount-original').value = sub.amount_original ?? '';
         document.getElementById('currency').value = sub.currency;
-        document.getElementById('billing-cycle').value = sub.billing_cycle;
+        const interval = calculator.getBillingInterval(sub);
+        document.getElementById('billing-cycle').value = calculator.getCycleKey(sub);
+        document.getElementById('interval-count').value = interval.count;
+        document.getElementById('interval-unit').value = interval.unit;
+        this.toggleCustomInterval();
         document.getElementById('category').value = sub.category;
         document.getElementById('start-date').value = sub.start_date || '';
         document.getElementById('next-billing-date').value = sub.next_billing_date || '';
         document.getElementById('memo').value = sub.memo || '';
+        document.getElementById('fx-fee-percent').value = sub.fx_fee_percent ?? '';
+        document.getElementById('tax-rate').value = sub.tax_rate ?? '';
+        document.getElementById('tax-excluded').checked = !!sub.tax_excluded;
+        document.getElementById('is-trial').checked = !!sub.is_trial;
+        document.getElementById('trial-end-date').value = sub.trial_end_date || '';
+        this.toggleTrialFields();
+        this.renderPriceSchedule(sub.price_schedule || []);
+    }
+
+    /**
+     * 内容に誤りのあるサブスクを、次の1件からフォームで修正
+     * 内容の誤りを項目ごとに表示し、保存すると storage.saveRepairedSubscription で保存する
+     */
+    openNextRepair() {
+        const repair = this.repairQueue.shift();
+        if (!repair) {
+            return;
+        }
 
+        this.openAddModal();
+        document.getElementById('modal-subscription-title').textContent =
+            repair.source === 'device' ? 'サブスクを修正して追加' : 'サブスクを修正';
+        this.repairing = repair;
+        this.fillSubscriptionForm(repair.sub);
         this.updateFormPreview();
-        this.openModal('modal-subscription');
+        this.showFieldErrors(subscriptionSchema.validate(repair.sub));
+    }
+
+    /**
+     * クラウドの内容に誤りのあるサブスクの案内を更新
+     */
+    updateInvalidNotice() {
+        const invalid = storage.getQuarantinedSubscriptions();
+        document.getElementById('invalid-notice').hidden = invalid.length === 0;
+        if (invalid.length === 0) {
+            return;
+        }
+
+        const names = invalid.map(({ sub }) => `「${sub.service_name || '名称なし'}」`).join('');
+        document.getElementById('invalid-notice-text').textContent =
+            `${names}の${invalid.length}件は内容に誤りがあるため、一覧と集計から除いています（他の端末や以前のバージョンで保存されたもの）。`;
+    }
+
+    /**
+     * クラウドの内容に誤りのあるサブスクを1件ずつ修正
+     */
+    handleFixInvalid() {
+        this.repairQueue = storage.getQuarantinedSubscriptions().map(({ sub }) => ({ sub, source: 'cloud' }));
+        this.openNextRepair();
+    }
+
+    /**
+     * クラウドの内容に誤りのあるサブスクを完全に削除
+     */
+    async handleRemoveInvalid() {
+        const invalid = storage.getQuarantinedSubscriptions();
+        if (!confirm(`内容に誤りのある${invalid.length}件のサブスクを完全に削除します。この操作は取り消せません。よろしいですか？`)) {
+            return;
+        }
+
+        await storage.removeSubscriptions(invalid.map(({ sub }) => sub.id));
+        this.showToast(`${invalid.length}件のサブスクを削除しました`, 'success');
+        await this.refreshAll();
+    }
+
+    /**
+     * 編集モーダルに価格の推移を表示（新しい順）
+     * @param {Object} sub - サブスクリプション
+     */
+    renderPriceHistory(sub) {
+        const history = calculator.getPriceHistory(sub);
+        const items = history.map((entry, i) => {
+            const previous = history[i - 1];
+            let change = '';
+            if (previous && previous.currency === entry.currency && previous.amount_original !== entry.amount_original) {
+                const diff = entry.amount_original - previous.amount_original;
+                const type = diff > 0 ? 'up' : 'down';
+                const sign = diff > 0 ? '+' : '-';
+                change = `<span class="price-change ${type}">${sign}${calculator.formatOriginalAmount(Math.abs(diff), entry.currency)}</span>`;
+            }
+            return `<li>
+                <span class="price-date">${entry.date ? this.formatDate(entry.date) : '-'}〜</span>
+                <span class="price-amount">${calculator.formatOriginalAmount(entry.amount_original, entry.currency)}</span>
+                ${change}
+            </li>`;
+        }).reverse();
+
+        document.getElementById('price-timeline').innerHTML = items.join('');
+        document.getElementById('price-history').hidden = false;
     }
 
     /**
@@ -321,12 +903,81 @@ class SubscManUI {
         this.openModal('modal-delete-confirm');
     }
 
+    /**
+     * フォームの項目ごとにエラーを表示（前回のエラーは消す）
+     * 入力欄のない項目のエラーは、その項目に関係する欄に表示する
+     * @param {Array} errors - [{ field, message }]
+     * @param {string} formId - フォームのID（省略時はサブスクフォーム）
+     * @param {Object} inputs - 項目名 → 入力欄のIDの対応（省略時は FORM_FIELD_INPUTS）
+     */
+    showFieldErrors(errors, formId = 'form-subscription', inputs = this.FORM_FIELD_INPUTS) {
+        const form = document.getElementById(formId);
+        form.querySelectorAll('.field-error').forEach(element => element.remove());
+        form.querySelectorAll('.is-invalid').forEach(element => element.classList.remove('is-invalid'));
+
+        errors.forEach(({ field, message }) => {
+            const input = document.getElementById(inputs[field]);
+            if (!input) {
+                return;
+            }
+            input.classList.add('is-invalid');
+            const error = document.createElement('p');
+            error.className = 'field-error';
+            error.textContent = message;
+            input.closest('.form-group').appendChild(error);
+        });
+
+        const firstInvalid = form.querySelector('.is-invalid');
+        if (firstInvalid) {
+            firstInvalid.focus();
+        }
+    }
+
+    /**
+     * 入力し直した欄のエラー表示を消す
+     * @param {HTMLElement} input - 入力欄
+     */
+    clearFieldError(input) {
+        const group = input.closest('.form-group');
+        if (!group || !group.querySelector('.field-error')) {
+            return;
+        }
+        group.querySelectorAll('.field-error').forEach(element => element.remove());
+        group.querySelectorAll('.is-invalid').forEach(element => element.classList.remove('is-invalid'));
+    }
+
+    /**
+     * 解約モーダルを開く
+     * 利用終了日の初期値は、今日以降の次回請求日があればその日、なければ今日
+     * @param {string} id - サブスクリプションID
+     */
+    async openCancelModal(id) {
+        const sub = await storage.getSubscriptionById(id);
+        if (!sub) {
+            this.showToast('サブスクが見つかりません', 'error');
+            return;
+        }
+
+        const today = calculator.toDateString(new Date());
+        const defaultDate = sub.next_billing_date && sub.next_billing_date >= today ? sub.next_billing_date : today;
+
+        document.getElementById('form-cancel').reset();
+        this.showFieldErrors([], 'form-cancel', this.CANCEL_FIELD_INPUTS);
+        document.getElementById('cancel-service-name').textContent = sub.service_name;
+        document.getElementById('cancel-id').value = id;
+        // 利用終了日は開始日より前にできない
+        document.getElementById('cancel-date').min = sub.start_date || '';
+        document.getElementById('cancel-date').value = sub.cancel_date || defaultDate;
+        document.getElementById('cancel-reason').value = sub.cancel_reason || '';
+        this.openModal('modal-cancel-subscription');
+    }
+
     /**
      * 為替レート設定モーダルを開く
      */
     openExchangeRateModal() {
         this.updateExchangeRateDisplay();
-        document.getElementById('new-rate').value = '';
+        this.updateRateHistoryChart();
         this.openModal('modal-exchange-rate');
     }
 
@@ -334,23 +985,54 @@ class SubscManUI {
      * API設定モーダルを開く
      */
     openApiSettingsModal() {
+        if (storage.isApiKeyLocked()) {
+            this.openApiUnlockModal(() => this.openApiSettingsModal());
+            return;
+        }
+
         const apiKey = storage.getApiKey();
+        const encrypted = storage.isApiKeyEncrypted();
         document.getElementById('api-key').value = apiKey || '';
+        document.getElementById('api-plain-notice').hidden = !apiKey || encrypted;
+        document.getElementById('api-encrypt').checked = encrypted;
+        document.getElementById('api-passphrase').value = '';
+        document.getElementById('api-passphrase-confirm').value = '';
+        document.getElementById('api-passphrase').placeholder = encrypted ? '変更しない場合は空欄' : '';
+        document.getElementById('btn-lock-api').hidden = !encrypted;
+        this.toggleApiPassphraseFields();
         this.openModal('modal-api-settings');
     }
 
     /**
-     * モーダルを開く
-     * @param {string} modalId - モーダルのID
+     * 暗号化の選択に応じてパスフレーズの入力欄を切り替え
      */
-    openModal(modalId) {
-        document.getElementById(modalId).classList.add('active');
-        document.body.style.overflow = 'hidden';
+    toggleApiPassphraseFields() {
+        document.getElementById('api-passphrase-fields').hidden = !document.getElementById('api-encrypt').checked;
     }
 
     /**
-     * モーダルを閉じる
-     * @param {string} modalId - モーダルのID
+     * APIキーのロック解除モーダルを開く
+     * @param {Function|null} afterUnlock - ロック解除後に続ける処理
+     */
+    openApiUnlockModal(afterUnlock = null) {
+        this.afterApiUnlock = afterUnlock;
+        document.getElementById('api-unlock-passphrase').value = '';
+        this.openModal('modal-api-unlock');
+        document.getElementById('api-unlock-passphrase').focus();
+    }
+
+    /**
+     * モーダルを開く
+     * @param {string} modalId - モーダルのID
+     */
+    openModal(modalId) {
+        document.getElementById(modalId).classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * モーダルを閉じる
+     * @param {string} modalId - モーダルのID
      */
     closeModal(modalId) {
         document.getElementById(modalId).classList.remove('active');
@@ -371,6 +1053,38 @@ class SubscManUI {
     // フォーム処理
     // ===================================
 
+    /**
+     * カスタムサイクル選択時のみ請求間隔の入力欄を表示
+     */
+    toggleCustomInterval() {
+        const isCustom = document.getElementById('billing-cycle').value === calculator.CUSTOM_CYCLE;
+        document.getElementById('custom-interval-row').hidden = !isCustom;
+    }
+
+    /**
+     * 無料トライアルの選択に応じて終了日の入力欄と金額の見出しを切り替え
+     */
+    toggleTrialFields() {
+        const isTrial = document.getElementById('is-trial').checked;
+        document.getElementById('trial-row').hidden = !isTrial;
+        document.getElementById('amount-label').textContent = isTrial ? 'トライアル後の金額' : '金額';
+    }
+
+    /**
+     * フォームで選択された請求間隔を取得
+     * @returns {Object} { unit, count }
+     */
+    getFormBillingInterval() {
+        const billingCycle = document.getElementById('billing-cycle').value;
+        if (billingCycle !== calculator.CUSTOM_CYCLE) {
+            return calculator.getBillingInterval({ billing_cycle: billingCycle });
+        }
+        return {
+            unit: document.getElementById('interval-unit').value,
+            count: parseInt(document.getElementById('interval-count').value, 10)
+        };
+    }
+
     /**
      * フォームのプレビューを更新
      */
@@ -383,11 +1097,85 @@ class SubscManUI {
         const amounts = calculator.calculateAmounts({
             amount_original: amountOriginal,
             currency: currency,
-            billing_cycle: billingCycle
-        }, settings.usd_to_jpy_rate);
+            billing_cycle: billingCycle,
+            billing_interval: this.getFormBillingInterval(),
+            ...this.getFormPricingOverrides()
+        }, settings);
+
+        // 空欄時に使われる既定値を表示
+        document.getElementById('fx-fee-percent').placeholder = `既定 ${settings.fx_fee_percent}%`;
+        document.getElementById('tax-rate').placeholder = `既定 ${settings.tax_rate}%`;
+
+        document.getElementById('preview-monthly').textContent = calculator.formatBase(amounts.amount_monthly);
+        document.getElementById('preview-yearly').textContent = calculator.formatBase(amounts.amount_yearly);
+        document.getElementById('preview-monthly-net').textContent = calculator.formatBase(amounts.amount_monthly_net);
+        document.getElementById('preview-yearly-net').textContent = calculator.formatBase(amounts.amount_yearly_net);
+        document.getElementById('preview-net').hidden = amounts.amount_yearly === amounts.amount_yearly_net;
+    }
+
+    /**
+     * プロモ・段階料金の入力行を表示
+     * @param {Array} schedule - [{ start_date, end_date, amount }]
+     */
+    renderPriceSchedule(schedule) {
+        document.getElementById('price-schedule-list').innerHTML = '';
+        schedule.forEach(period => this.addPricePeriodRow(period));
+    }
 
-        document.getElementById('preview-monthly').textContent = calculator.formatJPY(amounts.amount_jpy_monthly);
-        document.getElementById('preview-yearly').textContent = calculator.formatJPY(amounts.amount_jpy_yearly);
+    /**
+     * プロモ・段階料金の入力行を追加
+     * @param {Object} period - 初期値 { start_date, end_date, amount }
+     */
+    addPricePeriodRow(period = {}) {
+        const row = document.createElement('div');
+        row.className = 'price-period-row';
+        row.innerHTML = `
+            <input type="date" class="period-start" value="${period.start_date || ''}" aria-label="開始日">
+            <span class="period-separator">〜</span>
+            <input type="date" class="period-end" value="${period.end_date || ''}" aria-label="終了日（空欄は無期限）">
+            <input type="number" class="period-amount" min="0" step="0.01" value="${period.amount ?? ''}" placeholder="金額" aria-label="金額">
+            <button type="button" class="btn btn-action delete" title="期間を削除">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <line x1="18" y1="6" x2="6" y2="18"/>
+                    <line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>
+            </button>`;
+
+        row.querySelector('.btn-action').addEventListener('click', () => row.remove());
+        document.getElementById('price-schedule-list').appendChild(row);
+    }
+
+    /**
+     * フォームで入力されたプロモ・段階料金を取得（すべて空欄の行は無視、開始日順）
+     * @returns {Array} [{ start_date, end_date, amount }]
+     */
+    getFormPriceSchedule() {
+        return [...document.querySelectorAll('#price-schedule-list .price-period-row')]
+            .map(row => ({
+                start_date: row.querySelector('.period-start').value || null,
+                end_date: row.querySelector('.period-end').value || null,
+                amount: row.querySelector('.period-amount').value === ''
+                    ? null
+                    : parseFloat(row.querySelector('.period-amount').value)
+            }))
+            .filter(period => period.start_date || period.end_date || period.amount !== null)
+            .sort((a, b) => (a.start_date || '').localeCompare(b.start_date || ''));
+    }
+
+    /**
+     * フォームで入力された手数料・税の個別設定を取得（空欄は null = 既定値）
+     * @returns {Object} { fx_fee_percent, tax_rate, tax_excluded }
+     */
+    getFormPricingOverrides() {
+        const parseOptional = (id) => {
+            const value = document.getElementById(id).value;
+            return value === '' ? null : parseFloat(value);
+        };
+        return {
+            fx_fee_percent: parseOptional('fx-fee-percent'),
+            tax_rate: parseOptional('tax-rate'),
+            tax_excluded: document.getElementById('tax-excluded').checked
+        };
     }
 
     /**
@@ -402,40 +1190,115 @@ class SubscManUI {
             amount_original: parseFloat(document.getElementById('amount-original').value),
             currency: document.getElementById('currency').value,
             billing_cycle: document.getElementById('billing-cycle').value,
+            billing_interval: this.getFormBillingInterval(),
             category: document.getElementById('category').value,
             start_date: document.getElementById('start-date').value || null,
             next_billing_date: document.getElementById('next-billing-date').value || null,
-            memo: document.getElementById('memo').value.trim()
+            price_schedule: this.getFormPriceSchedule(),
+            is_trial: document.getElementById('is-trial').checked,
+            trial_end_date: document.getElementById('trial-end-date').value || null,
+            memo: document.getElementById('memo').value.trim(),
+            ...this.getFormPricingOverrides()
         };
-
-        // バリデーション
-        if (!data.service_name) {
-            this.showToast('サービス名を入力してください', 'error');
-            return;
+        if (!data.is_trial) {
+            data.trial_end_date = null;
         }
-        if (isNaN(data.amount_original) || data.amount_original <= 0) {
-            this.showToast('金額を正しく入力してください', 'error');
+
+        // バリデーション（保存時と同じスキーマで検証し、項目ごとに表示）
+        const errors = subscriptionSchema.validate(data);
+        this.showFieldErrors(errors);
+        if (errors.length > 0) {
             return;
         }
 
         // 金額を計算
         const settings = await storage.getSettings();
-        const amounts = calculator.calculateAmounts(data, settings.usd_to_jpy_rate);
-        data.amount_jpy_monthly = amounts.amount_jpy_monthly;
-        data.amount_jpy_yearly = amounts.amount_jpy_yearly;
-
-        if (editId) {
-            // 更新
-            await storage.updateSubscription(editId, data);
-            this.showToast('サブスクを更新しました', 'success');
-        } else {
-            // 新規追加
-            await storage.addSubscription(data);
-            this.showToast('サブスクを追加しました', 'success');
+        Object.assign(data, calculator.calculateAmounts(data, settings));
+
+        try {
+            if (editId) {
+                // 更新（元に戻せるよう変更前の内容を保持）
+                const before = await storage.getSubscriptionById(editId);
+                await storage.updateSubscription(editId, data);
+                this.showToast('サブスクを更新しました', 'success',
+                    this.createUndoAction(() => storage.replaceSubscription(before), '変更を元に戻しました'));
+            } else if (this.repairing) {
+                // 内容に誤りのあったサブスクを修正して保存
+                await storage.saveRepairedSubscription(this.repairing, data);
+                this.repairing = null;
+                this.showToast('修正したサブスクを保存しました', 'success');
+            } else {
+                // 新規追加
+                const added = await storage.addSubscription(data);
+                this.showToast('サブスクを追加しました', 'success',
+                    this.createUndoAction(() => storage.removeSubscription(added.id), '追加を取り消しました'));
+            }
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                this.showFieldErrors(error.errors);
+                return;
+            }
+            console.error('サブスク保存エラー:', error);
+            this.showToast('保存に失敗しました: ' + error.message, 'error');
+            return;
         }
 
         this.closeModal('modal-subscription');
         await this.refreshAll();
+        this.openNextRepair();
+    }
+
+    /**
+     * 解約を記録
+     */
+    async handleCancelSubmit() {
+        const id = document.getElementById('cancel-id').value;
+        const cancelDate = document.getElementById('cancel-date').value;
+        const reason = document.getElementById('cancel-reason').value.trim();
+
+        if (!cancelDate) {
+            this.showToast('利用終了日を入力してください', 'error');
+            return;
+        }
+
+        let result;
+        try {
+            result = await storage.cancelSubscription(id, cancelDate, reason);
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                this.showFieldErrors(error.errors, 'form-cancel', this.CANCEL_FIELD_INPUTS);
+                return;
+            }
+            console.error('解約の記録エラー:', error);
+            this.showToast('解約の記録に失敗しました: ' + error.message, 'error');
+            return;
+        }
+
+        if (result) {
+            const scheduled = cancelDate > calculator.toDateString(new Date());
+            this.showToast(scheduled ? `${this.formatDate(cancelDate)}で解約予定にしました` : 'サブスクを解約済みにしました', 'success');
+        } else {
+            this.showToast('解約の記録に失敗しました', 'error');
+        }
+
+        this.closeModal('modal-cancel-subscription');
+        await this.refreshAll();
+    }
+
+    /**
+     * 解約したサブスクを再開
+     * @param {string} id - サブスクリプションID
+     */
+    async handleReactivate(id) {
+        const result = await storage.reactivateSubscription(id);
+
+        if (result) {
+            this.showToast('サブスクを再開しました', 'success');
+        } else {
+            this.showToast('再開に失敗しました', 'error');
+        }
+
+        await this.refreshAll();
     }
 
     /**
@@ -444,11 +1307,12 @@ class SubscManUI {
     async handleDelete() {
         const id = document.getElementById('delete-id').value;
 
-        // 物理削除を実行
+        // ゴミ箱に移動
         const result = await storage.deleteSubscription(id);
 
         if (result) {
-            this.showToast('サブスクを削除しました', 'success');
+            this.showToast('サブスクをゴミ箱に移動しました', 'success',
+                this.createUndoAction(() => storage.restoreFromTrash(id), '削除を取り消しました'));
         } else {
             this.showToast('削除に失敗しました', 'error');
         }
@@ -466,27 +1330,240 @@ class SubscManUI {
      */
     async updateExchangeRateDisplay() {
         const settings = await storage.getSettings();
-        document.getElementById('current-rate').textContent = settings.usd_to_jpy_rate.toFixed(2);
+
+        document.getElementById('exchange-rate-list').innerHTML = currencyRegistry.getForeignCurrencies().map(c => {
+            const rate = settings.exchange_rates[c.code];
+            return `<div class="exchange-rate-row">
+                <label for="rate-${c.code}">1 ${c.code}（${c.name}）=</label>
+                <input type="number" id="rate-${c.code}" data-currency="${c.code}" min="0" step="any" value="${this.roundRate(rate)}">
+                <span class="exchange-rate-unit">JPY</span>
+            </div>`;
+        }).join('');
 
         const lastUpdated = settings.last_updated
             ? this.formatDateTime(settings.last_updated)
             : '--';
         document.getElementById('rate-updated').textContent = '最終更新: ' + lastUpdated;
+
+        document.getElementById('base-currency').value = settings.base_currency;
+        document.getElementById('default-fx-fee').value = settings.fx_fee_percent;
+        document.getElementById('default-tax-rate').value = settings.tax_rate;
+        document.getElementById('rate-max-age').value = settings.rate_max_age_hours;
+        document.getElementById('rate-provider-url').value = settings.rate_provider_url;
+
+        this.updateRateStaleWarning(settings);
+    }
+
+    /**
+     * ヘッダーの為替レート鮮度警告を更新
+     * @param {Object} settings - 設定
+     */
+    updateRateStaleWarning(settings) {
+        const badge = document.getElementById('btn-rate-stale');
+
+        if (!exchangeRateService.isStale(settings)) {
+            badge.hidden = true;
+            return;
+        }
+
+        const ageHours = exchangeRateService.getAgeHours(settings);
+        document.getElementById('rate-stale-text').textContent = ageHours === Infinity
+            ? '為替レートが未取得です'
+            : `為替レートが${Math.floor(ageHours / 24)}日前のままです`;
+        badge.hidden = false;
+    }
+
+    /**
+     * ヘッダーの同期状態を更新（ログイン中のみ表示）
+     * @param {string} state - 'synced' / 'pending' / 'error'
+     * @param {number} count - 未送信の操作の件数
+     */
+    updateSyncStatus(state, count) {
+        const badge = document.getElementById('btn-sync-status');
+        if (!badge) return;
+
+        badge.classList.remove('pending', 'error');
+        if (state !== 'synced') {
+            badge.classList.add(state);
+        }
+
+        const labels = {
+            synced: '同期済み',
+            pending: `未送信 ${count}件`,
+            error: count > 0 ? `同期エラー（未送信 ${count}件）` : '同期エラー（保存できなかった変更あり）'
+        };
+        document.getElementById('sync-status-text').textContent = labels[state];
+        badge.title = state === 'error' && syncQueue.lastError
+            ? `${count > 0 ? '再送信' : '保存'}に失敗しました: ${syncQueue.lastError.message}`
+            : '未送信の変更を再送信';
+        badge.hidden = !storage.useFirestore();
+    }
+
+    /**
+     * 再送信しても成功しない変更を破棄したことを知らせ、クラウドの内容で表示し直す
+     * @param {Array} groups - 破棄したグループ [{ operations, error }]
+     */
+    async handleSyncDiscard(groups) {
+        const count = groups.reduce((sum, group) => sum + group.operations.length, 0);
+        const { error } = groups[groups.length - 1];
+        this.showToast(`${count}件の変更をクラウドに保存できなかったため破棄しました: ${error.message}`, 'error');
+        await this.refreshAll();
+    }
+
+    /**
+     * 未送信の変更を今すぐ再送信
+     */
+    async handleSyncRetry() {
+        if (!syncQueue.hasPending()) {
+            if (syncQueue.state === 'error') {
+                // 破棄した変更は再送信できないため、内容を知らせて同期済みに戻す
+                this.showToast(`クラウドに保存できなかった変更は破棄されました: ${syncQueue.lastError.message}`, 'error');
+                syncQueue.acknowledgeDiscarded();
+                return;
+            }
+            this.showToast('すべての変更はクラウドに保存されています', 'success');
+            return;
+        }
+        if (!navigator.onLine) {
+            this.showToast('オフラインです。接続が戻ると自動で送信します', 'error');
+            return;
+        }
+
+        const sent = await syncQueue.replay();
+        if (syncQueue.hasPending()) {
+            this.showToast('再送信に失敗しました。しばらくしてから自動で再試行します', 'error');
+        } else {
+            this.showToast(`${sent}件の変更をクラウドに送信しました`, 'success');
+        }
+        await this.refreshAll();
+    }
+
+    /**
+     * 為替レート推移グラフを更新
+     */
+    async updateRateHistoryChart() {
+        const settings = await storage.getSettings();
+        const select = document.getElementById('rate-history-currency');
+
+        if (select.options.length === 0) {
+            select.innerHTML = currencyRegistry.getForeignCurrencies().map(c =>
+                `<option value="${c.code}">${c.code}</option>`
+            ).join('');
+        }
+
+        const code = select.value;
+        const history = settings.exchange_rate_history.filter(entry => entry.rates[code]);
+
+        if (this.rateHistoryChart) {
+            this.rateHistoryChart.destroy();
+            this.rateHistoryChart = null;
+        }
+
+        document.getElementById('rate-history-empty').style.display = history.length === 0 ? '' : 'none';
+        if (history.length === 0) {
+            return;
+        }
+
+        const ctx = document.getElementById('rate-history-chart').getContext('2d');
+        this.rateHistoryChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: history.map(entry => this.formatDate(entry.date)),
+                datasets: [{
+                    data: history.map(entry => this.roundRate(entry.rates[code])),
+                    borderColor: '#3b82f6',
+                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                    pointBackgroundColor: history.map(entry => entry.source === 'api' ? '#3b82f6' : '#f59e0b'),
+                    fill: true,
+                    tension: 0.2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: function (context) {
+                                const source = history[context.dataIndex].source === 'api' ? '自動取得' : '手動入力';
+                                return `1 ${code} = ${context.raw} JPY（${source}）`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
     }
 
     /**
      * 為替レートを手動で保存
      */
     async saveExchangeRate() {
-        const newRate = parseFloat(document.getElementById('new-rate').value);
+        const settings = await storage.getSettings();
+        const rates = {};
+        const inputs = document.querySelectorAll('#exchange-rate-list input[data-currency]');
+
+        for (const input of inputs) {
+            const rate = parseFloat(input.value);
+            if (isNaN(rate) || rate <= 0) {
+                this.showToast(`${input.dataset.currency} に有効なレートを入力してください`, 'error');
+                return;
+            }
+            // 表示用に丸めた値から変わっていない通貨は更新しない
+            if (rate !== this.roundRate(settings.exchange_rates[input.dataset.currency])) {
+                rates[input.dataset.currency] = rate;
+            }
+        }
 
-        if (isNaN(newRate) || newRate <= 0) {
-            this.showToast('有効なレートを入力してください', 'error');
+        const baseCurrency = document.getElementById('base-currency').value;
+        const fxFee = parseFloat(document.getElementById('default-fx-fee').value);
+        const taxRate = parseFloat(document.getElementById('default-tax-rate').value);
+        const maxAge = parseInt(document.getElementById('rate-max-age').value, 10);
+        const providerUrl = document.getElementById('rate-provider-url').value.trim();
+
+        if (isNaN(fxFee) || fxFee < 0 || isNaN(taxRate) || taxRate < 0) {
+            this.showToast('手数料・税率は0以上の数値で入力してください', 'error');
+            return;
+        }
+        if (isNaN(maxAge) || maxAge < 0) {
+            this.showToast('自動更新までの時間は0以上の整数で入力してください', 'error');
+            return;
+        }
+        if (!providerUrl) {
+            this.showToast('レート取得先URLを入力してください', 'error');
             return;
         }
 
-        await storage.updateExchangeRate(newRate);
-        this.showToast('為替レートを更新しました', 'success');
+        const baseChanged = baseCurrency !== settings.base_currency;
+        const pricingChanged = fxFee !== settings.fx_fee_percent || taxRate !== settings.tax_rate;
+        const updatedSettings = await storage.updateSettings({
+            base_currency: baseCurrency,
+            fx_fee_percent: fxFee,
+            tax_rate: taxRate,
+            rate_max_age_hours: maxAge,
+            rate_provider_url: providerUrl
+        });
+
+        if (baseChanged) {
+            // 合計の比較は通貨が異なるため、件数のみ表示
+            if (Object.keys(rates).length > 0) {
+                await storage.updateExchangeRates(rates, 'manual');
+            }
+            const result = await storage.recalculateAmounts(await storage.getSettings());
+            calculator.applySettings(await storage.getSettings());
+            this.showToast(`表示通貨を ${baseCurrency} に変更しました（${result.updated}件を再計算）`, 'success');
+        } else if (Object.keys(rates).length > 0) {
+            // レート更新時の再計算で新しい手数料・税率・基準通貨も反映される
+            const result = await storage.updateExchangeRates(rates, 'manual');
+            this.showToast('為替レートを更新しました' + this.formatRepricingSummary(result), 'success');
+        } else if (pricingChanged) {
+            const result = await storage.recalculateAmounts(updatedSettings);
+            this.showToast('手数料・税率を更新しました' + this.formatRepricingSummary(result), 'success');
+        } else {
+            this.showToast('設定を保存しました', 'success');
+        }
+
         this.closeModal('modal-exchange-rate');
         await this.refreshAll();
     }
@@ -501,30 +1578,637 @@ class SubscManUI {
         btn.disabled = true;
 
         try {
-            const response = await fetch('https://api.exchangerate-api.com/v4/latest/USD');
+            const result = await exchangeRateService.refresh();
+            await this.refreshAll();
+            await this.updateRateHistoryChart();
+            this.showToast('為替レートを更新しました' + this.formatRepricingSummary(result), 'success');
+
+        } catch (error) {
+            console.error('為替レート取得エラー:', error);
+            this.showToast('為替レートの取得に失敗しました。手動で入力してください。', 'error');
+        } finally {
+            btn.innerHTML = originalText;
+            btn.disabled = false;
+        }
+    }
+
+    /**
+     * 自動更新の結果を反映
+     * @param {Object|null} result - exchangeRateService.refreshIfStale の結果
+     */
+    async handleAutoRateRefresh(result) {
+        if (!result) {
+            // 更新しなかった場合も時間経過で古くなるため警告だけ更新
+            this.updateRateStaleWarning(await storage.getSettings());
+            return;
+        }
+        await this.refreshAll();
+        this.showToast('為替レートを自動更新しました' + this.formatRepricingSummary(result), 'success');
+    }
+
+    /**
+     * レートを表示・比較用に小数4桁へ丸める
+     * @param {number} rate - レート
+     * @returns {number} 丸めたレート
+     */
+    roundRate(rate) {
+        return parseFloat(rate.toFixed(4));
+    }
+
+    /**
+     * レート変更による再計算結果をトースト用の文言にする
+     * @param {Object} result - storage.recalculateAmounts の結果
+     * @returns {string} 例：「 / 3件を再計算 月額 ¥5,000 → ¥5,120」
+     */
+    formatRepricingSummary(result) {
+        if (!result.updated) {
+            return '';
+        }
+        const diff = result.after.monthly - result.before.monthly;
+        const sign = diff >= 0 ? '+' : '-';
+        return ` / ${result.updated}件を再計算 月額 ${calculator.formatBase(result.before.monthly)} → ` +
+            `${calculator.formatBase(result.after.monthly)}（${sign}${calculator.formatBase(Math.abs(diff))}）`;
+    }
+
+    // ===================================
+    // ローカルデータの同期
+    // ===================================
+
+    /**
+     * ローカルデータの同期モーダルを開く
+     * @param {Array} plan - storage.planLocalDataMerge の結果
+     */
+    openMergeModal(plan) {
+        this.mergePlan = plan;
+
+        const changed = plan.filter(item => item.differences.length > 0).length;
+        const added = plan.filter(item => !item.cloud).length;
+        document.getElementById('merge-summary').textContent =
+            `ローカルに${plan.length}件のサブスクがあります（新規${added}件・内容が異なる${changed}件）。`;
+
+        document.getElementById('merge-list').innerHTML = plan.map((item, index) => this.renderMergeItem(item, index)).join('');
+        this.openModal('modal-merge-local');
+    }
+
+    /**
+     * 照合結果の1件分のHTMLを生成
+     * @param {Object} item - { local, cloud, differences, action }
+     * @param {number} index - plan 内の位置
+     * @returns {string} HTML
+     */
+    renderMergeItem(item, index) {
+        const { local, cloud, differences, errors, action } = item;
+
+        let status;
+        let options;
+        if (errors.length > 0) {
+            // 内容に誤りがあるものはそのまま同期できないため、修正するか削除するか、この端末に残す
+            status = '<span class="merge-status changed">内容に誤り</span>';
+            options = [['skip', 'この端末に残す'], ['fix', '修正してクラウドに追加'], ['discard', 'この端末から削除']];
+        } else if (!cloud) {
+            status = '<span class="merge-status new">新規</span>';
+            options = [['keep', 'クラウドに追加'], ['skip', 'スキップ']];
+        } else {
+            status = differences.length > 0
+                ? '<span class="merge-status changed">内容が異なる</span>'
+                : '<span class="merge-status same">同じ内容</span>';
+            options = [['skip', 'スキップ（クラウドを残す）'], ['overwrite', 'ローカルで上書き'], ['keep', '両方残す']];
+        }
+
+        const diffRows = differences.map(field => `<tr>
+            <th>${this.MERGE_FIELD_LABELS[field] || field}</th>
+            <td>${this.escapeHtml(this.formatMergeValue(field, local))}</td>
+            <td>${this.escapeHtml(this.formatMergeValue(field, cloud))}</td>
+        </tr>`).join('');
+        const diffTable = diffRows
+            ? `<table class="merge-diff"><tr><th>項目</th><th>ローカル</th><th>クラウド</th></tr>${diffRows}</table>`
+            : '';
+        const errorList = errors.length > 0
+            ? `<ul class="data-errors merge-errors">${errors.map(error => `<li>${this.escapeHtml(error.message)}</li>`).join('')}</ul>`
+            : '';
+
+        return `<li class="merge-item">
+            <div class="merge-item-header">
+                <div class="merge-item-info">
+                    <span class="service-name">${this.escapeHtml(local.service_name)}</span>${status}
+                    <div class="merge-item-meta">${calculator.formatOriginalAmount(local.amount_original, local.currency)}（${calculator.getCycleLabel(local)}）</div>
+                </div>
+                <select class="select-filter merge-action" data-index="${index}">
+                    ${options.map(([value, label]) => `<option value="${value}" ${value === action ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </div>
+            ${errorList}
+            ${diffTable}
+        </li>`;
+    }
+
+    /**
+     * 照合で比べた項目の値を表示用に整形
+     * @param {string} field - 項目名
+     * @param {Object} sub - サブスクリプション
+     * @returns {string} 表示用の文字列
+     */
+    formatMergeValue(field, sub) {
+        const value = sub[field];
+        if (value === null || value === undefined || value === '') {
+            return '-';
+        }
+
+        switch (field) {
+            case 'amount_original':
+                return calculator.formatOriginalAmount(value, sub.currency);
+            case 'start_date':
+            case 'next_billing_date':
+            case 'trial_end_date':
+            case 'cancel_date':
+                return this.formatDate(value);
+            case 'is_trial':
+            case 'tax_excluded':
+                return value ? 'はい' : 'いいえ';
+            case 'is_active':
+                return value ? '利用中' : '解約済み';
+            case 'price_schedule':
+                return value.length > 0 ? `${value.length}期間` : '-';
+            case 'fx_fee_percent':
+            case 'tax_rate':
+                return `${value}%`;
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * 選択した方法でローカルデータをクラウドに同期
+     */
+    async handleMergeSubmit() {
+        const plan = this.mergePlan.map((item, index) => {
+            const select = document.querySelector(`.merge-action[data-index="${index}"]`);
+            return { ...item, action: select.value };
+        });
+
+        let result;
+        try {
+            result = await storage.uploadLocalDataToFirestore(plan);
+        } catch (error) {
+            console.error('Merge upload error:', error);
+            this.showToast('同期に失敗しました: ' + error.message, 'error');
+            return;
+        }
+        this.closeModal('modal-merge-local');
+        this.mergePlan = null;
 
-            if (!response.ok) {
-                throw new Error('API呼び出しに失敗しました');
+        if (!result) {
+            this.showToast('ログインしていないため同期できませんでした', 'error');
+            return;
+        }
+
+        const discarded = result.discarded > 0 ? `・削除${result.discarded}件` : '';
+        this.showToast(`クラウドに同期しました（追加${result.added}件・上書き${result.overwritten}件・スキップ${result.skipped}件${discarded}）`, 'success');
+        await this.refreshAll();
+
+        // 修正を選んだものは1件ずつフォームで修正する
+        this.repairQueue = result.repairs.map(sub => ({ sub, source: 'device' }));
+        this.openNextRepair();
+    }
+
+    // ===================================
+    // データの管理
+    // ===================================
+
+    /**
+     * データの管理モーダルを開く
+     */
+    openDataModal() {
+        document.getElementById('import-json-file').value = '';
+        this.showDataErrors('import-json-errors', []);
+        this.openModal('modal-data');
+    }
+
+    /**
+     * 全データをJSONファイルに書き出す
+     */
+    async handleExportJson() {
+        try {
+            const data = await storage.exportData();
+            const date = calculator.toDateString(new Date());
+            this.downloadFile(`subscman-backup-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+            this.showToast(`${data.subscriptions.length}件のサブスクを書き出しました`, 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showToast('書き出しに失敗しました', 'error');
+        }
+    }
+
+    /**
+     * バックアップファイルを検証して復元
+     */
+    async handleImportJson() {
+        const file = document.getElementById('import-json-file').files[0];
+        if (!file) {
+            this.showDataErrors('import-json-errors', ['バックアップファイルを選択してください']);
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.showDataErrors('import-json-errors', ['JSONファイルとして読み込めません']);
+            return;
+        }
+
+        const errors = storage.validateBackup(data);
+        this.showDataErrors('import-json-errors', errors);
+        if (errors.length > 0) {
+            return;
+        }
+
+        const mode = document.querySelector('input[name="import-json-mode"]:checked').value;
+        if (mode === 'replace' && !confirm('今のサブスク・ゴミ箱・設定を削除して、バックアップの内容に置き換えます。よろしいですか？')) {
+            return;
+        }
+
+        try {
+            const result = await storage.importData(data, mode);
+            this.closeModal('modal-data');
+            this.showToast(mode === 'replace'
+                ? `バックアップから${result.added}件を復元しました`
+                : `バックアップを統合しました（追加${result.added}件・更新${result.updated}件・スキップ${result.skipped}件）`, 'success');
+        } catch (error) {
+            console.error('Import error:', error);
+            this.showToast('復元に失敗しました', 'error');
+        }
+        await this.refreshAll();
+    }
+
+    /**
+     * 読み込みのエラーを一覧で表示（多い場合は先頭の数件のみ）
+     * @param {string} listId - 表示先のリストのID
+     * @param {Array} errors - エラーメッセージ
+     */
+    showDataErrors(listId, errors) {
+        const list = document.getElementById(listId);
+        const shown = errors.slice(0, this.DATA_ERROR_LIMIT);
+        const rest = errors.length - shown.length;
+
+        list.innerHTML = shown.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')
+            + (rest > 0 ? `<li>ほか${rest}件</li>` : '');
+        list.hidden = errors.length === 0;
+    }
+
+    /**
+     * サブスク一覧をCSV・Excel形式で書き出す
+     * 表示中の一覧はテーブルと同じフィルター・並び順で、すべての場合は解約済みや内容が不正で集計から除外したものも含めて書き出す
+     */
+    async handleExportTable() {
+        const scope = document.querySelector('input[name="export-scope"]:checked').value;
+        const format = document.querySelector('input[name="export-format"]:checked').value;
+
+        try {
+            const subscriptions = scope === 'view'
+                ? this.getTableSubscriptions(await storage.getSubscriptions(true))
+                : await storage.getAllSubscriptions();
+            if (subscriptions.length === 0) {
+                this.showToast('書き出すサブスクがありません', 'error');
+                return;
             }
 
-            const data = await response.json();
-            const rate = data.rates.JPY;
+            const filename = `subscman-${calculator.toDateString(new Date())}`;
+            if (format === 'xlsx') {
+                this.downloadFile(`${filename}.xlsx`, tableExporter.toXlsx(subscriptions), tableExporter.XLSX_MIME);
+            } else {
+                this.downloadFile(`${filename}.csv`, tableExporter.toCsv(subscriptions), tableExporter.CSV_MIME);
+            }
+            this.closeModal('modal-export');
+            this.showToast(`${subscriptions.length}件のサブスクを書き出しました`, 'success');
+        } catch (error) {
+            console.error('Table export error:', error);
+            this.showToast('書き出しに失敗しました', 'error');
+        }
+    }
+
+    // ===================================
+    // 明細の取り込み
+    // ===================================
+
+    /**
+     * 明細の取り込みモーダルを開く
+     */
+    openStatementModal() {
+        const formatSelect = document.getElementById('statement-format');
+        formatSelect.innerHTML = [
+            '<option value="auto">自動判別</option>',
+            ...Object.entries(statementImporter.FORMATS).map(([key, format]) => `<option value="${key}">${format.label}</option>`),
+            '<option value="manual">列を指定する</option>'
+        ].join('');
+
+        document.getElementById('statement-file').value = '';
+        this.statementRows = null;
+        this.statementDrafts = [];
+        this.populateStatementColumns([]);
+        this.handleStatementFormatChange();
+        this.showDataErrors('statement-errors', []);
+        document.getElementById('form-statement').hidden = true;
+
+        this.closeModal('modal-data');
+        this.openModal('modal-statement');
+    }
 
-            if (!rate) {
-                throw new Error('レートが取得できませんでした');
+    /**
+     * 明細ファイルを読み込む
+     */
+    async handleStatementFileChange() {
+        const file = document.getElementById('statement-file').files[0];
+        this.statementRows = null;
+        document.getElementById('form-statement').hidden = true;
+        this.showDataErrors('statement-errors', []);
+        if (!file) {
+            return;
+        }
+
+        const rows = statementImporter.parseCsv(statementImporter.decode(await file.arrayBuffer()));
+        if (rows.length === 0) {
+            this.showDataErrors('statement-errors', ['明細が空です']);
+            return;
+        }
+        this.statementRows = rows;
+        this.populateStatementColumns(rows);
+    }
+
+    /**
+     * 列の選択肢を明細の列で作り直す（自動判別できた列を初期値にする）
+     * @param {Array} rows - 明細の行
+     */
+    populateStatementColumns(rows) {
+        const options = statementImporter.getColumnOptions(rows)
+            .map(option => `<option value="${option.index}">${this.escapeHtml(option.label)}</option>`).join('');
+        const mapping = rows.length > 0 ? statementImporter.detectColumns(rows) : null;
+
+        ['date', 'merchant', 'amount'].forEach((field, index) => {
+            const select = document.getElementById(`statement-col-${field}`);
+            select.innerHTML = options;
+            select.value = String(mapping ? mapping[field] : index);
+        });
+    }
+
+    /**
+     * 明細の形式の変更時に、列の指定欄の表示を切り替え
+     */
+    handleStatementFormatChange() {
+        document.getElementById('statement-mapping').hidden = document.getElementById('statement-format').value !== 'manual';
+    }
+
+    /**
+     * 明細から定期的な支払いを探し、サブスクの候補を表示
+     */
+    async handleStatementDetect() {
+        if (!this.statementRows) {
+            this.showDataErrors('statement-errors', ['明細ファイルを選択してください']);
+            return;
+        }
+
+        const formatSelect = document.getElementById('statement-format');
+        const mapping = formatSelect.value === 'manual'
+            ? {
+                format: 'manual',
+                headerIndex: -1,
+                date: parseInt(document.getElementById('statement-col-date').value, 10),
+                merchant: parseInt(document.getElementById('statement-col-merchant').value, 10),
+                amount: parseInt(document.getElementById('statement-col-amount').value, 10),
+                currency: -1
             }
+            : statementImporter.detectColumns(this.statementRows, formatSelect.value);
+
+        if (!mapping) {
+            // 判別できない場合は列を指定してもらう
+            formatSelect.value = 'manual';
+            this.handleStatementFormatChange();
+            this.showDataErrors('statement-errors', ['明細の形式を判別できませんでした。利用日・利用先・金額の列を選んでください']);
+            return;
+        }
 
-            await storage.updateExchangeRate(rate);
-            await this.updateExchangeRateDisplay();
-            this.showToast(`為替レートを更新しました: ${rate.toFixed(2)} 円/ドル`, 'success');
+        const transactions = statementImporter.extractTransactions(this.statementRows, mapping);
+        if (transactions.length === 0) {
+            this.showDataErrors('statement-errors', ['支払いの行が見つかりませんでした。明細の形式または列の指定を確認してください']);
+            return;
+        }
+        this.showDataErrors('statement-errors', []);
+
+        const subscriptions = await storage.getSubscriptions(false);
+        this.statementDrafts = statementImporter.detectRecurring(transactions, subscriptions);
+
+        document.getElementById('statement-summary').textContent = this.statementDrafts.length > 0
+            ? `${transactions.length}件の支払いから、${this.statementDrafts.length}件の定期的な支払いが見つかりました。追加するものを選んでください。`
+            : `${transactions.length}件の支払いから、定期的な支払いは見つかりませんでした。`;
+        document.getElementById('statement-list').innerHTML = this.statementDrafts
+            .map((draft, index) => this.renderStatementDraft(draft, index)).join('');
+        document.getElementById('btn-submit-statement').hidden = this.statementDrafts.length === 0;
+        document.getElementById('form-statement').hidden = false;
+    }
 
+    /**
+     * サブスクの候補1件分のHTMLを生成
+     * 登録済みのものと、最近の請求がないもの（解約済みの可能性）は初期状態で選択しない
+     * @param {Object} draft - statementImporter.detectRecurring の候補
+     * @param {number} index - 候補の位置
+     * @returns {string} HTML
+     */
+    renderStatementDraft(draft, index) {
+        const statuses = [];
+        if (draft.registered) {
+            statuses.push('<span class="merge-status same">登録済み</span>');
+        }
+        if (draft.lapsed) {
+            statuses.push('<span class="merge-status changed">最近の請求なし</span>');
+        }
+        const categories = subscriptionSchema.CATEGORIES.map(category =>
+            `<option value="${category}" ${category === draft.category ? 'selected' : ''}>${category}</option>`
+        ).join('');
+
+        return `<li class="statement-item">
+            <input type="checkbox" class="statement-select" data-index="${index}" ${draft.registered || draft.lapsed ? '' : 'checked'}>
+            <div class="statement-item-info">
+                <div class="statement-item-header">
+                    <input type="text" class="statement-name" data-index="${index}" value="${this.escapeHtml(draft.service_name)}">
+                    <select class="select-filter statement-category" data-index="${index}">${categories}</select>
+                </div>
+                <div class="merge-item-meta">
+                    ${calculator.formatOriginalAmount(draft.amount_original, draft.currency)}（${calculator.getCycleLabel(draft)}）・
+                    ${draft.occurrences}回の請求（最終 ${this.formatDate(draft.last_date)}）・次回 ${this.formatDate(draft.next_billing_date)}
+                    ${statuses.join('')}
+                </div>
+            </div>
+        </li>`;
+    }
+
+    /**
+     * 選択したサブスクの候補をまとめて追加
+     */
+    async handleStatementSubmit() {
+        const settings = await storage.getSettings();
+        const selected = this.statementDrafts
+            .map((draft, index) => ({
+                draft,
+                checked: document.querySelector(`.statement-select[data-index="${index}"]`).checked,
+                name: document.querySelector(`.statement-name[data-index="${index}"]`).value.trim(),
+                category: document.querySelector(`.statement-category[data-index="${index}"]`).value
+            }))
+            .filter(item => item.checked);
+
+        if (selected.length === 0) {
+            this.showToast('追加するサブスクを選択してください', 'error');
+            return;
+        }
+        if (selected.some(item => !item.name)) {
+            this.showToast('サービス名を入力してください', 'error');
+            return;
+        }
+
+        const added = [];
+        try {
+            for (const { draft, name, category } of selected) {
+                const data = {
+                    service_name: name,
+                    amount_original: draft.amount_original,
+                    currency: draft.currency,
+                    billing_cycle: draft.billing_cycle,
+                    billing_interval: draft.billing_interval,
+                    category,
+                    start_date: draft.start_date,
+                    next_billing_date: draft.next_billing_date,
+                    memo: '明細から取り込み'
+                };
+                Object.assign(data, calculator.calculateAmounts(data, settings));
+                added.push(await storage.addSubscription(data));
+            }
+            this.showToast(`${added.length}件のサブスクを追加しました`, 'success',
+                this.createUndoAction(() => storage.removeSubscriptions(added.map(sub => sub.id)), '追加を取り消しました'));
         } catch (error) {
-            console.error('為替レート取得エラー:', error);
-            this.showToast('為替レートの取得に失敗しました。手動で入力してください。', 'error');
-        } finally {
-            btn.innerHTML = originalText;
-            btn.disabled = false;
+            console.error('Statement import error:', error);
+            const reason = error instanceof ValidationError ? `: ${error.errors[0].message}` : '';
+            this.showToast(`追加に失敗しました（${added.length}件は追加済み）${reason}`, 'error');
+        }
+
+        this.closeModal('modal-statement');
+        this.statementDrafts = [];
+        await this.refreshAll();
+    }
+
+    // ===================================
+    // 他のアプリから移行
+    // ===================================
+
+    /**
+     * 他のアプリから移行するモーダルを開く
+     */
+    openTrackerModal() {
+        document.getElementById('tracker-format').innerHTML = [
+            '<option value="auto">自動判別</option>',
+            ...trackerImporter.parsers.map(parser => `<option value="${parser.id}">${this.escapeHtml(parser.label)}</option>`)
+        ].join('');
+        document.getElementById('tracker-file').value = '';
+        document.getElementById('form-tracker').hidden = true;
+        this.showDataErrors('tracker-errors', []);
+        this.trackerDrafts = [];
+
+        this.closeModal('modal-data');
+        this.openModal('modal-tracker');
+    }
+
+    /**
+     * テンプレートのCSVをダウンロード
+     */
+    handleTrackerTemplate() {
+        this.downloadFile('subscman-template.csv', trackerImporter.createTemplate(), tableExporter.CSV_MIME);
+    }
+
+    /**
+     * ファイルを読み込み、取り込む内容と取り込めない行を表示
+     */
+    async handleTrackerPreview() {
+        const file = document.getElementById('tracker-file').files[0];
+        document.getElementById('form-tracker').hidden = true;
+        if (!file) {
+            this.showDataErrors('tracker-errors', ['ファイルを選択してください']);
+            return;
+        }
+
+        let table;
+        try {
+            table = trackerImporter.readTable(await file.arrayBuffer(), file.name);
+        } catch (error) {
+            this.showDataErrors('tracker-errors', [error.message]);
+            return;
+        }
+
+        const format = document.getElementById('tracker-format').value;
+        const parser = format === 'auto' ? trackerImporter.detectParser(table) : trackerImporter.getParser(format);
+        if (!parser) {
+            this.showDataErrors('tracker-errors', ['ファイルの形式を判別できませんでした。形式を選ぶか、テンプレートの列名に合わせてください']);
+            return;
+        }
+
+        const result = trackerImporter.convert(table, parser, await storage.getSubscriptions(false));
+        if (result.missing.length > 0) {
+            const labels = { service_name: 'サービス名', amount: '金額' };
+            this.showDataErrors('tracker-errors', result.missing.map(field =>
+                `${parser.label}の${labels[field]}の列（${parser.columns[field].join(' / ')}）が見つかりません`));
+            return;
         }
+        this.showDataErrors('tracker-errors', []);
+        this.trackerDrafts = result.drafts;
+
+        document.getElementById('tracker-summary').textContent = `${parser.label}として読み込みました。`
+            + `${result.drafts.length}件を追加できます` + (result.skipped.length > 0 ? `（${result.skipped.length}件は取り込めません）。` : '。');
+        document.getElementById('tracker-tbody').innerHTML = result.drafts.map((draft, index) => `<tr>
+            <td data-label="追加"><input type="checkbox" class="tracker-select" data-index="${index}" checked></td>
+            <td data-label="サービス名"><span class="service-name">${this.escapeHtml(draft.data.service_name)}</span></td>
+            <td data-label="元の金額">${calculator.formatOriginalAmount(draft.data.amount_original, draft.data.currency)}</td>
+            <td data-label="サイクル">${calculator.getCycleLabel(draft.data)}</td>
+            <td data-label="カテゴリ"><span class="category-badge ${draft.data.category}">${draft.data.category}</span></td>
+            <td data-label="次回請求日">${draft.data.next_billing_date ? this.formatDate(draft.data.next_billing_date) : '-'}</td>
+        </tr>`).join('');
+
+        const skipped = document.getElementById('tracker-skipped');
+        skipped.hidden = result.skipped.length === 0;
+        document.getElementById('tracker-skipped-summary').textContent = `取り込めない行（${result.skipped.length}件）`;
+        document.getElementById('tracker-skipped-list').innerHTML = result.skipped.map(item =>
+            `<li>${item.index}件目${item.name ? `「${this.escapeHtml(item.name)}」` : ''}: ${this.escapeHtml(item.reason)}</li>`
+        ).join('');
+
+        document.getElementById('btn-submit-tracker').hidden = result.drafts.length === 0;
+        document.getElementById('form-tracker').hidden = false;
+    }
+
+    /**
+     * 選択したサブスクをまとめて追加
+     */
+    async handleTrackerSubmit() {
+        const selected = this.trackerDrafts.filter((_, index) =>
+            document.querySelector(`.tracker-select[data-index="${index}"]`).checked
+        );
+        if (selected.length === 0) {
+            this.showToast('追加するサブスクを選択してください', 'error');
+            return;
+        }
+
+        const settings = await storage.getSettings();
+        const added = [];
+        try {
+            for (const { data } of selected) {
+                added.push(await storage.addSubscription({ ...data, ...calculator.calculateAmounts(data, settings) }));
+            }
+            this.showToast(`${added.length}件のサブスクを追加しました`, 'success',
+                this.createUndoAction(() => storage.removeSubscriptions(added.map(sub => sub.id)), '追加を取り消しました'));
+        } catch (error) {
+            console.error('Tracker import error:', error);
+            const reason = error instanceof ValidationError ? `: ${error.errors[0].message}` : '';
+            this.showToast(`追加に失敗しました（${added.length}件は追加済み）${reason}`, 'error');
+        }
+
+        this.closeModal('modal-tracker');
+        this.trackerDrafts = [];
+        await this.refreshAll();
     }
 
     // ===================================
@@ -549,6 +2233,10 @@ class SubscManUI {
             this.showToast('AIを使用するにはAPIキーが必要です', 'warning');
             return;
         }
+        if (storage.isApiKeyLocked()) {
+            this.openApiUnlockModal(() => this.askAI());
+            return;
+        }
 
         // ローディング表示
         responseContainer.innerHTML = `
@@ -579,43 +2267,219 @@ class SubscManUI {
     /**
      * API設定を保存
      */
-    saveApiSettings() {
+    async saveApiSettings() {
         const apiKey = document.getElementById('api-key').value.trim();
+        const encrypt = document.getElementById('api-encrypt').checked;
+        const passphrase = document.getElementById('api-passphrase').value;
+        const confirmation = document.getElementById('api-passphrase-confirm').value;
 
-        if (apiKey) {
-            storage.setApiKey(apiKey);
-            this.showToast('APIキーを保存しました', 'success');
-        } else {
+        if (!apiKey) {
             storage.removeApiKey();
+            this.updateApiLockStatus();
             this.showToast('APIキーを削除しました', 'success');
+            this.closeModal('modal-api-settings');
+            return;
         }
 
+        if (!encrypt) {
+            storage.setApiKey(apiKey);
+            this.updateApiLockStatus();
+            this.showToast('APIキーを保存しました', 'success');
+            this.closeModal('modal-api-settings');
+            return;
+        }
+
+        // 暗号化済みでパスフレーズが空欄の場合は、今のパスフレーズのまま保存し直す
+        const keepPassphrase = storage.isApiKeyEncrypted() && !passphrase && !confirmation;
+        if (!keepPassphrase) {
+            const error = keyVault.validatePassphrase(passphrase, confirmation);
+            if (error) {
+                this.showToast(error, 'error');
+                return;
+            }
+        }
+
+        const saveButton = document.getElementById('btn-save-api');
+        saveButton.disabled = true;
+        try {
+            await storage.setEncryptedApiKey(apiKey, keepPassphrase ? null : passphrase);
+            this.updateApiLockStatus();
+            this.showToast('APIキーを暗号化して保存しました', 'success');
+            this.closeModal('modal-api-settings');
+        } catch (error) {
+            console.error('APIキー暗号化エラー:', error);
+            this.showToast(`APIキーを保存できませんでした: ${error.message}`, 'error');
+        } finally {
+            saveButton.disabled = false;
+        }
+    }
+
+    /**
+     * パスフレーズで APIキーのロックを解除
+     */
+    async handleApiUnlock() {
+        const passphrase = document.getElementById('api-unlock-passphrase').value;
+        const submitButton = document.getElementById('btn-submit-api-unlock');
+
+        submitButton.disabled = true;
+        try {
+            await storage.unlockApiKey(passphrase);
+        } catch (error) {
+            console.error('APIキーのロック解除エラー:', error);
+            this.showToast(error.message, 'error');
+            document.getElementById('api-unlock-passphrase').select();
+            return;
+        } finally {
+            submitButton.disabled = false;
+        }
+
+        this.closeModal('modal-api-unlock');
+        this.showToast('APIキーのロックを解除しました', 'success');
+
+        const afterUnlock = this.afterApiUnlock;
+        this.afterApiUnlock = null;
+        if (afterUnlock) {
+            afterUnlock();
+        }
+    }
+
+    /**
+     * パスフレーズを忘れた場合に、暗号化された APIキーを削除して登録し直す
+     */
+    handleResetApiKey() {
+        if (!confirm('暗号化されたAPIキーを削除します。APIキーは登録し直す必要があります。よろしいですか？')) {
+            return;
+        }
+        storage.removeApiKey();
+        this.updateApiLockStatus();
+        this.afterApiUnlock = null;
+        this.closeModal('modal-api-unlock');
+        this.showToast('APIキーを削除しました', 'success');
+        this.openApiSettingsModal();
+    }
+
+    /**
+     * 今すぐ APIキーをロック
+     */
+    handleLockApiKey() {
         this.closeModal('modal-api-settings');
+        keyVault.lock();
+        this.showToast('APIキーをロックしました', 'success');
+    }
+
+    /**
+     * APIキーのロック状態が変わったときの処理
+     * ロックされたら、設定モーダルに表示していた APIキーも画面から消す
+     * @param {boolean} unlocked - ロック解除中かどうか
+     */
+    handleApiLockChange(unlocked) {
+        this.updateApiLockStatus();
+        if (unlocked) return;
+
+        const modal = document.getElementById('modal-api-settings');
+        if (modal.classList.contains('active') && storage.isApiKeyEncrypted()) {
+            document.getElementById('api-key').value = '';
+            this.closeModal('modal-api-settings');
+            this.showToast('操作がなかったためAPIキーをロックしました', 'warning');
+        }
+    }
+
+    /**
+     * APIキーのロック状態の表示を更新
+     */
+    updateApiLockStatus() {
+        const status = document.getElementById('api-lock-status');
+        if (!storage.isApiKeyEncrypted()) {
+            status.hidden = true;
+            return;
+        }
+        const locked = storage.isApiKeyLocked();
+        status.hidden = false;
+        status.classList.toggle('is-locked', locked);
+        status.textContent = locked ? '🔒 APIキーはロック中' : '🔓 APIキーはロック解除中';
     }
 
     // ===================================
     // ユーティリティ
     // ===================================
 
+    /**
+     * 文字列・バイナリをファイルとしてダウンロード
+     * @param {string} filename - ファイル名
+     * @param {string|Uint8Array|Blob} content - 内容
+     * @param {string} type - MIMEタイプ
+     */
+    downloadFile(filename, content, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * トースト通知を表示
      * @param {string} message - メッセージ
      * @param {string} type - タイプ（'success', 'error', 'warning'）
+     * @param {Object|null} action - トーストに表示するボタン { label, handler }
      */
-    showToast(message, type = 'info') {
+    showToast(message, type = 'info', action = null) {
         const container = document.getElementById('toast-container');
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
-        toast.textContent = message;
 
-        container.appendChild(toast);
+        const text = document.createElement('span');
+        text.textContent = message;
+        toast.appendChild(text);
 
-        // 3秒後に削除
-        setTimeout(() => {
+        const hide = () => {
             toast.style.opacity = '0';
             toast.style.transform = 'translateX(100%)';
             setTimeout(() => toast.remove(), 300);
-        }, 3000);
+        };
+
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                button.disabled = true;
+                hide();
+                action.handler();
+            }, { once: true });
+            toast.appendChild(button);
+        }
+
+        container.appendChild(toast);
+
+        // 3秒後に削除（ボタン付きは押す時間を確保して6秒）
+        setTimeout(hide, action ? 6000 : 3000);
+    }
+
+    /**
+     * 直前の追加・編集・削除を元に戻すトーストのボタンを作成
+     * @param {Function} undo - 元に戻す処理（Promise を返す）
+     * @param {string} message - 元に戻した後のメッセージ
+     * @returns {Object} showToast の action
+     */
+    createUndoAction(undo, message) {
+        return {
+            label: '元に戻す',
+            handler: async () => {
+                try {
+                    await undo();
+                    this.showToast(message, 'success');
+                } catch (error) {
+                    console.error('Undo error:', error);
+                    this.showToast('元に戻せませんでした', 'error');
+                }
+                await this.refreshAll();
+            }
+        };
     }
 
     /**